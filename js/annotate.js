@@ -0,0 +1,87 @@
+// Annotated snapshot renderer ("report" variant of a crop)
+// - Boxes + label pills drawn with the overlay's own styling (vision.js drawDetectionBox)
+// - Selected object gets the white style plus the halo the HUD pulses with
+// - Caption strip appended below the image: label, confidence, time, heading
+// The raw crop is left untouched; callers store both.
+
+import { drawDetectionBox, roundRect } from "./vision.js";
+
+const STYLE_REF = 600;   // crop width at which strokes/text match the live overlay 1:1
+
+// crop:       canvas with the raw crop
+// cropRect:   { x, y, w, h } the crop's source area in video pixels
+// detections: [{ class, score, bbox (video px), id }]
+// caption:    { label, score, ts, heading } (any may be missing)
+export function renderAnnotated(crop, { cropRect, detections = [], selectedId = null, caption = {} }) {
+  const k = Math.max(1, crop.width / STYLE_REF);
+  const stripH = Math.round(44 * k);
+
+  const out = document.createElement("canvas");
+  out.width = crop.width;
+  out.height = crop.height + stripH;
+  const ctx = out.getContext("2d");
+  ctx.drawImage(crop, 0, 0);
+
+  // video px -> crop px
+  const sx = crop.width / cropRect.w;
+  const sy = crop.height / cropRect.h;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, crop.width, crop.height);
+  ctx.clip();
+
+  // Selected last so it sits on top
+  const ordered = [...detections].sort((a, b) => (a.id === selectedId) - (b.id === selectedId));
+  for (const d of ordered) {
+    const [x, y, w, h] = d.bbox;
+    const r = { sx: (x - cropRect.x) * sx, sy: (y - cropRect.y) * sy, sw: w * sx, sh: h * sy };
+    if (r.sx > crop.width || r.sy > crop.height || r.sx + r.sw < 0 || r.sy + r.sh < 0) continue;
+
+    const isSelected = selectedId != null && d.id === selectedId;
+    if (isSelected) drawHalo(ctx, r, k);
+    drawDetectionBox(ctx, d, r, isSelected, k);
+  }
+  ctx.restore();
+
+  drawCaption(ctx, { y: crop.height, w: crop.width, h: stripH, k }, caption);
+  return out;
+}
+
+// Static frame of app.js drawSelectionPulse (mid-pulse)
+function drawHalo(ctx, r, k) {
+  const pad = 15 * k;
+  ctx.save();
+  ctx.globalAlpha = 0.24;
+  ctx.strokeStyle = "rgba(255,255,255,0.9)";
+  ctx.lineWidth = 2 * k;
+  roundRect(ctx, r.sx - pad, r.sy - pad, r.sw + pad * 2, r.sh + pad * 2, 16 * k);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawCaption(ctx, { y, w, h, k }, { label, score, ts = Date.now(), heading = null }) {
+  ctx.fillStyle = "rgba(15,19,27,0.92)";
+  ctx.fillRect(0, y, w, h);
+  ctx.fillStyle = "rgba(68,255,175,0.85)";
+  ctx.fillRect(0, y, w, Math.max(1, Math.round(2 * k)));
+
+  const left = label ? `${label}${score != null ? ` · ${Math.round(score * 100)}%` : ""}` : "Snapshot";
+  const right = [
+    new Date(ts).toLocaleString(),
+    heading != null ? `${Math.round(heading)}°` : null
+  ].filter(Boolean).join(" · ");
+
+  const pad = 12 * k;
+  ctx.textBaseline = "middle";
+  ctx.font = `600 ${Math.round(15 * k)}px -apple-system, system-ui, Segoe UI, Roboto, Arial`;
+  ctx.fillStyle = "rgba(255,255,255,0.95)";
+  ctx.textAlign = "left";
+  ctx.fillText(left, pad, y + h / 2, w * 0.5 - pad);
+
+  ctx.font = `${Math.round(12 * k)}px -apple-system, system-ui, Segoe UI, Roboto, Arial`;
+  ctx.fillStyle = "rgba(255,255,255,0.75)";
+  ctx.textAlign = "right";
+  ctx.fillText(right, w - pad, y + h / 2, w * 0.5 - pad);
+  ctx.textAlign = "left";
+}
@@ -1,17 +1,50 @@
-import { startCamera as camStart, stopCamera as camStop, captureToCanvas } from "./camera.js";
-import { saveSnap, listSnaps, deleteSnap } from "./storage.js";
-import { createPanel, setPanelBody, getPanelBody } from "./ui.js";
 import {
-  loadVisionModel, isVisionReady, detectFrame, drawDetections,
-  pickDetectionAt, normPointToScreen, detToScreenRect
+  captureToCanvas, canvasToBlob,
+  RESOLUTIONS, listCameras, getCameraControls, applyCameraControl, resetCameraControls, clearCameraControls
+} from "./camera.js";
+import { createCameraLifecycle, cameraErrorMessage } from "./lifecycle.js";
+import {
+  saveSnap, querySnaps, listSnapLabels, listSnapTags, getSnap, getThumb, getAllSnaps, updateSnap, deleteSnap,
+  saveSnapEdit, revertSnapEdit, normalizeTags, createUrlScope
+} from "./storage.js";
+import { exportArchive, importArchive, snapFileName } from "./archive.js";
+import {
+  requestPersistence, getStorageStatus, checkWrite, applyRetention, isQuotaError, formatBytes
+} from "./quota.js";
+import {
+  DATASET_FORMATS, exportDataset, collectLabels, buildClassMap, getRelabelMap, setRelabelMap
+} from "./dataset.js";
+import { createPanel, closePanel, setPanelBody, getPanelBody, escapeHtml } from "./ui.js";
+import {
+  loadVisionModel, isVisionReady, detectFrame, cancelDetection, drawDetections,
+  pickDetectionAt, normPointToScreen, detToScreenRect,
+  getActiveDetectorId, setActiveDetector, getDetectorInfo,
+  getDetectionFilter, setDetectionFilter, resetDetectionFilter, filterDetections, coverTransform
 } from "./vision.js";
+import { listDetectors } from "./detectors.js";
+import { createTracker, iou } from "./tracker.js";
+import { createAiScheduler } from "./scheduler.js";
+import { SCHEMA, getSetting, setSetting, resetSettings, onSettingChange } from "./settings.js";
 import { createGestureTracker } from "./gestures.js";
+import { createCalibration } from "./calibration.js";
+import {
+  GESTURES, ACTIONS, getBindings, setBindings, resetBindings, createGestureBinder
+} from "./bindings.js";
+import { getAssetBaseOverride, syncAssetCache } from "./assets.js";
+import { laplacianVariance } from "./sharpness.js";
+import { createRecorder, canRecord } from "./recorder.js";
+import { renderAnnotated } from "./annotate.js";
+import { ASPECTS, createCropEditor, renderCrop } from "./cropeditor.js";
 
 const $ = (sel, root = document) => root.querySelector(sel);
 
+const APP_VERSION = "1.1.22";               // keep in step with CACHE_VERSION in sw.js
+const SESSION_ID = crypto.randomUUID();     // one per page load, stamped on every snap
+
 const els = {
   app: $("#app"),
   cam: $("#cam"),
+  still: $("#still"),
   overlay: $("#overlay"),
 
   hudStatus: $("#hudStatus"),
@@ -21,6 +54,8 @@ const els = {
   hudGestures: $("#hudGestures"),
   hudSelect: $("#hudSelect"),
   hudMode: $("#hudMode"),
+  hudCapture: $("#hudCapture"),
+  hudRec: $("#hudRec"),
 
   btnStart: $("#btnStart"),
   btnAI: $("#btnAI"),
@@ -32,6 +67,9 @@ const els = {
   sheet: $("#sheet"),
   btnPerms: $("#btnPerms"),
   btnCloseSheet: $("#btnCloseSheet"),
+  btnCalibrate: $("#btnCalibrate"),
+  sheetIntro: $("#sheetIntro"),
+  calibCard: $("#calibCard"),
 
   toolWheel: $("#toolWheel")
 };
@@ -41,13 +79,16 @@ const state = {
   streaming: false,
 
   aiOn: false,
-  aiLooping: false,
-  detections: [],
-  aiFps: 0,
+  aiScheduler: null,
+  aiStats: null,           // { fps, latency, intervalMs } rolling, from scheduler.js
+  detections: [],          // tracked: each has a stable `id` (see tracker.js)
+  tracker: createTracker(),
 
-  // freeze mode locks last detections so you can interact calmly
+  // freeze mode holds one video frame (and its detections) so you can interact calmly
   frozen: false,
   frozenDetections: [],
+  still: null,             // canvas, video px: the frozen frame (shown via #still)
+  stillRedetectTimer: 0,   // pending detectStill() after a filter change
 
   motionOn: false,
   alpha: 0,
@@ -55,22 +96,51 @@ const state = {
 
   gesturesOn: false,
   gestureTracker: null,
+  calibration: null,       // active calibration.js flow (eats gesture events)
 
   cursor: null,            // { sx, sy } overlay device pixels
-  selectedIndex: -1,
+  selectedId: null,        // track id, survives detection re-ordering
   selectedLabel: "—",
 
+  // dwell-to-confirm per channel (see dwellSettled)
+  dwell: {
+    select: { current: null, pending: null, since: 0 },
+    wheel: { current: null, pending: null, since: 0 }
+  },
+
   // panel pinch manipulation
   grabbedPanel: null,
   grabMode: null,
   grabOffset: { x: 0, y: 0 },
   resizeStart: { x: 0, y: 0, w: 0, h: 0 },
 
+  // two-hand frame preview { x0,y0,x1,y1 (normalized video), progress }
+  frameRect: null,
+
+  // multi-shot capture (see startBurst / toggleInterval)
+  burst: null,             // { i, n } while a burst runs
+  interval: null,          // { series, count, everyMs, next, timer, busy } while running
+  recorder: null,          // recorder.js while a clip is being recorded
+  cropEditor: null,        // cropeditor.js (+ its panel) while Edit crop is open
+
+  // camera (lifecycle.js): retries, pause while hidden, reconnects
+  camera: null,
+  cameraDown: false,       // page hidden / reconnecting: loops idle, nothing is captured
+
+  // camera switching (see restartCamera)
+  cameraPanel: null,
+  cameraRestart: null,     // { again } while the stream is being swapped
+  cameraRestartTimer: 0,
+
   // wheel state
   wheelOpen: false,
   wheelHotTool: null,
-  lastPalmTs: 0,
-  lastPointSnapTs: 0
+
+  // gallery filters (kept for the session); from/to are "YYYY-MM-DD" from <input type=date>
+  galleryQuery: { label: "", tag: "", from: "", to: "", minScore: 0, order: "newest" },
+  gallery: null,           // { panel, refreshTags } while the Gallery is open
+
+  gestureBinder: null      // bindings.js, created in boot
 };
 
 boot().catch(console.error);
@@ -83,11 +153,15 @@ async function boot() {
   if ("serviceWorker" in navigator) {
     try { await navigator.serviceWorker.register("./sw.js", { scope: "./" }); }
     catch (e) { console.warn("SW register failed:", e); }
+
+    // SW install only knows the default base; hand it the mirror if one is set
+    if (getAssetBaseOverride()) syncAssetCache().catch(() => {});
   }
 
   els.btnStart?.addEventListener("click", onStartPressed);
   els.btnPerms?.addEventListener("click", grantPermissionsAndStart);
   els.btnCloseSheet?.addEventListener("click", () => hideSheet());
+  els.btnCalibrate?.addEventListener("click", () => startCalibration());
 
   els.btnAI?.addEventListener("click", toggleAI);
   els.btnGestures?.addEventListener("click", toggleGestures);
@@ -107,6 +181,19 @@ async function boot() {
   setHudSelect("—");
   setHudMode("Live");
 
+  onSettingChange("ai.targetFps", (fps) => state.aiScheduler?.setTargetFps(fps));
+  state.camera = createCameraLifecycle(els.cam, {
+    getPrefs: cameraPrefs,
+    onPause: onCameraPause,
+    onResume: onCameraResume,
+    onFailed: onCameraFailed
+  });
+  // Device / resolution / frame rate (Camera panel or Settings) swap the live stream
+  for (const key of ["camera.deviceId", "camera.facing", "camera.resolution", "camera.frameRate"]) {
+    onSettingChange(key, scheduleCameraRestart);
+  }
+  state.gestureBinder = createGestureBinder((action) => runBoundAction(action));
+
   // Tool wheel click (finger/touch fallback)
   els.toolWheel?.addEventListener("click", (e) => {
     const btn = e.target?.closest?.(".wheelItem");
@@ -118,15 +205,36 @@ async function boot() {
 
 /* ---------- HUD helpers ---------- */
 function setHudStatus(t) { if (els.hudStatus) els.hudStatus.textContent = t; }
-function setHudFps(t) { if (els.hudFps) els.hudFps.textContent = `AI: ${t} fps`; }
+function setHudFps(fps, latencyMs) {
+  if (!els.hudFps) return;
+  els.hudFps.textContent = typeof fps === "number"
+    ? `AI: ${fps.toFixed(1)} fps · ${Math.round(latencyMs || 0)} ms`
+    : `AI: ${fps} fps`;
+}
 function setHudHeading(deg) { if (els.hudHeading) els.hudHeading.textContent = `Heading: ${deg}°`; }
 function setHudPitch(deg) { if (els.hudPitch) els.hudPitch.textContent = `Pitch: ${deg}°`; }
 function setHudGestures(t) { if (els.hudGestures) els.hudGestures.textContent = `Gestures: ${t}`; }
 function setHudSelect(t) { if (els.hudSelect) els.hudSelect.textContent = `Selected: ${t}`; }
 function setHudMode(t) { if (els.hudMode) els.hudMode.textContent = `Mode: ${t}`; }
+function setHudRec(t) {
+  if (!els.hudRec) return;
+  els.hudRec.classList.toggle("hidden", !t);
+  els.hudRec.textContent = t || "";
+}
+// Burst / interval progress; null hides the chip
+function setHudCapture(t) {
+  if (!els.hudCapture) return;
+  els.hudCapture.classList.toggle("hidden", !t);
+  els.hudCapture.textContent = t || "";
+}
 
 function showSheet() { els.sheet?.classList.remove("hidden"); }
-function hideSheet() { els.sheet?.classList.add("hidden"); }
+function hideSheet() {
+  els.sheet?.classList.add("hidden");
+  // Next open shows the intro again
+  els.sheetIntro?.classList.remove("hidden");
+  els.calibCard?.classList.add("hidden");
+}
 
 function sizeOverlay() {
   if (!els.overlay) return;
@@ -135,6 +243,7 @@ function sizeOverlay() {
   els.overlay.height = Math.floor(window.innerHeight * dpr);
   els.overlay.style.width = "100%";
   els.overlay.style.height = "100%";
+  drawStill();
 }
 
 /* ---------- Start / Permissions ---------- */
@@ -150,35 +259,106 @@ async function onStartPressed() {
 
 async function grantPermissionsAndStart() {
   hideSheet();
-  await startStream();
-  els.btnStart.textContent = "Stop";
-  setHudStatus("Camera live");
+  if (!(await startCameraWithStatus())) return;
   await enableMotion(); // optional
 }
 
+// Start button and "Start & Calibrate": -> false when the camera failed (message shown)
+async function startCameraWithStatus() {
+  try {
+    await startStream();
+  } catch (e) {
+    console.warn("Camera start failed:", e);
+    setHudStatus(cameraErrorMessage(e));
+    return false;
+  }
+  els.btnStart.textContent = "Stop";
+  setHudStatus(state.stream.relaxed ? "Camera live (fallback settings)" : "Camera live");
+  return true;
+}
+
 async function startStream() {
   if (state.streaming) return;
   if (!els.cam) throw new Error("Missing #cam element");
-  state.stream = await camStart(els.cam);
+  state.stream = await state.camera.start();
   state.streaming = true;
+  state.cameraDown = false;
   clearOverlay();
 }
 
+function cameraPrefs() {
+  return {
+    deviceId: getSetting("camera.deviceId"),
+    facing: getSetting("camera.facing"),
+    resolution: getSetting("camera.resolution"),
+    frameRate: getSetting("camera.frameRate")
+  };
+}
+
+// Several settings often change together (Flip, Reset all): restart once for all of them
+function scheduleCameraRestart() {
+  if (state.cameraRestartTimer) return;
+  state.cameraRestartTimer = setTimeout(() => {
+    state.cameraRestartTimer = 0;
+    restartCamera();
+  }, 0);
+}
+
+// Swap the stream under the running AI / gesture loops (both read #cam).
+// Boxes are in video pixels, so tracks and the freeze don't survive a switch.
+async function restartCamera() {
+  if (!state.streaming) return;
+  if (state.cameraRestart) {
+    state.cameraRestart.again = true;
+    return;
+  }
+
+  state.cameraRestart = { again: false };
+  try {
+    do {
+      state.cameraRestart.again = false;
+      setHudStatus("Switching camera…");
+      unfreeze();
+      const stream = await state.camera.restart();
+      if (stream) state.stream = stream;
+      state.detections = [];
+      state.tracker.reset();
+      clearSelection();
+    } while (state.cameraRestart.again && state.streaming);
+    const { width, height } = state.stream.settings;
+    setHudStatus(state.stream.relaxed
+      ? "Camera unavailable as chosen — using fallback settings"
+      : width ? `Camera ${width}×${height}` : "Camera live");
+  } catch (e) {
+    console.warn("Camera switch failed:", e);
+    stopStream();
+    els.btnStart.textContent = "Start";
+    setHudStatus(cameraErrorMessage(e));
+  } finally {
+    state.cameraRestart = null;
+  }
+
+  if (state.cameraPanel?.isConnected) renderCameraPanel(state.cameraPanel);
+}
+
 function stopStream() {
   if (!state.streaming) return;
 
-  camStop(els.cam);
+  state.camera.stop();
   state.streaming = false;
+  state.cameraDown = false;
   state.stream = null;
 
+  stopInterval();
+  stopRecording();   // saves what was recorded so far
+
   state.aiOn = false;
+  stopAiLoop();
   state.detections = [];
-  state.frozenDetections = [];
-  state.frozen = false;
+  state.tracker.reset();
+  unfreeze();
 
-  state.selectedIndex = -1;
-  state.selectedLabel = "—";
-  setHudSelect("—");
+  clearSelection();
 
   els.btnAI.textContent = "AI: Off";
   els.btnAI.classList.remove("on");
@@ -190,6 +370,40 @@ function stopStream() {
   clearOverlay();
 }
 
+// Camera released (page hidden) or lost (track ended): idle everything that reads it.
+// AI / gestures stay "on" and pick up again in onCameraResume.
+function onCameraPause(reason) {
+  state.cameraDown = true;
+  stopRecording();   // saves what was recorded so far
+  stopAiLoop();
+  cancelDetection();
+  state.gestureTracker?.pause();
+  closeWheel();
+  setHudStatus(reason === "lost" ? "Camera disconnected — reconnecting…" : "Paused");
+  setHudFps("--");
+}
+
+function onCameraResume(stream, reason) {
+  state.stream = stream;
+  state.cameraDown = false;
+  // A reconnect may land on another camera / resolution: old boxes don't apply
+  state.detections = [];
+  state.tracker.reset();
+  if (!state.frozen) clearSelection();
+  if (state.aiOn) aiLoop();
+  state.gestureTracker?.resume();
+  if (state.cameraPanel?.isConnected) renderCameraPanel(state.cameraPanel);
+  setHudStatus(reason === "reconnected" ? "Camera reconnected" : "Camera live");
+  redrawOverlay();
+}
+
+function onCameraFailed(e) {
+  console.warn("Camera lost:", e);
+  stopStream();
+  els.btnStart.textContent = "Start";
+  setHudStatus(cameraErrorMessage(e));
+}
+
 /* ---------- Motion ---------- */
 async function enableMotion() {
   try {
@@ -251,12 +465,65 @@ function disableGestures() {
   els.btnGestures.classList.remove("on");
   state.cursor = null;
   closeWheel();
+
+  if (state.calibration) {
+    state.calibration.cancel();
+    state.calibration = null;
+  }
+}
+
+/* --- Calibration / tutorial --- */
+async function startCalibration() {
+  // One session at a time: its card already has Skip
+  if (state.calibration?.active) return;
+
+  if (!state.streaming) {
+    if (!(await startCameraWithStatus())) return;
+    enableMotion();
+  }
+
+  els.sheetIntro?.classList.add("hidden");
+  els.calibCard?.classList.remove("hidden");
+  els.sheet?.classList.remove("hidden");
+  els.calibCard.innerHTML = `<div class="sheetTitle">Gesture setup</div><div class="sheetText">Loading hand tracking…</div>`;
+
+  await enableGestures();
+  if (!state.gesturesOn) {
+    hideSheet();
+    return;
+  }
+
+  state.calibration = createCalibration(els.calibCard, {
+    onDone: () => {
+      state.calibration = null;
+      hideSheet();
+      setHudStatus("Gestures calibrated");
+    },
+    onCancel: () => {
+      state.calibration = null;
+      hideSheet();
+      setHudStatus("Calibration skipped");
+    }
+  });
 }
 
 /* --- Gesture events --- */
 function handleGesture(g) {
   if (!state.streaming) return;
 
+  // Single-hand events only from the primary hand; the other hand only counts in two-hand gestures
+  if (g.primary === false) return;
+
+  if (state.calibration?.active) {
+    state.calibration.feed(g);
+    return;
+  }
+
+  if (g.type.startsWith("twoPinch") || g.type.startsWith("frame")) {
+    handleTwoHandGesture(g);
+    return;
+  }
+
   // Cursor updates (selection + wheel hover)
   if (g.type === "cursor" && typeof g.x === "number" && typeof g.y === "number") {
     const { sx, sy } = normPointToScreen(g.x, g.y, els.overlay, els.cam);
@@ -264,14 +531,10 @@ function handleGesture(g) {
 
     if (state.aiOn) updateSelectionFromCursor();
 
-    // Open palm => tool wheel (debounced)
-    if (g.gesture === "Open_Palm") {
-      const now = performance.now();
-      if (now - state.lastPalmTs > 450 && !state.wheelOpen) {
-        state.lastPalmTs = now;
-        const css = deviceToCss(sx, sy);
-        openWheel(css.x, css.y);
-      }
+    // Recognized gestures -> user bindings (see bindings.js). Not while the wheel
+    // is open or a panel is held, so those interactions aren't interrupted.
+    if (!state.wheelOpen && !state.grabbedPanel && !state.grabMode) {
+      state.gestureBinder.feed(g.pointing && !g.gesture ? "Pointing_Up" : g.gesture);
     }
 
     if (state.wheelOpen) updateWheelHotFromCursor();
@@ -280,6 +543,10 @@ function handleGesture(g) {
     return;
   }
 
+  // Both hands pinching: twoPinch* own the gesture (gestures.js emits them before the
+  // single-hand events of the same frame), so the primary hand's pinch is ignored
+  if (g.type.startsWith("pinch") && (state.grabMode === "scale" || state.grabMode === "cropTransform")) return;
+
   // Pinch: panel drag/resize OR activate wheel OR snap selected object
   if (g.type === "pinchStart") {
     if (!state.cursor) return;
@@ -292,16 +559,23 @@ function handleGesture(g) {
     }
 
     const css = deviceToCss(state.cursor.sx, state.cursor.sy);
+    const hit = document.elementFromPoint(css.x, css.y);
+
+    // Pinching on the crop editor's canvas moves / resizes the crop instead of the panel
+    if (state.cropEditor && hit === state.cropEditor.canvas && state.cropEditor.pointerDown(css.x, css.y)) {
+      state.grabMode = "crop";
+      return;
+    }
 
     // If pinching on a panel: grab it
-    const hitPanel = document.elementFromPoint(css.x, css.y)?.closest(".panel");
+    const hitPanel = hit?.closest(".panel");
     if (hitPanel) {
       beginPanelGrab(hitPanel, css.x, css.y);
       return;
     }
 
     // Otherwise: pinch snaps the selected object (object-accurate)
-    if (state.aiOn && state.selectedIndex >= 0) {
+    if (state.aiOn && selectedDetection()) {
       snapSelectedObject();
       return;
     }
@@ -312,6 +586,11 @@ function handleGesture(g) {
   }
 
   if (g.type === "pinchMove") {
+    if (state.grabMode === "crop" && state.cursor) {
+      const css = deviceToCss(state.cursor.sx, state.cursor.sy);
+      state.cropEditor?.pointerMove(css.x, css.y);
+      return;
+    }
     if (!state.grabbedPanel || !state.cursor) return;
     const css = deviceToCss(state.cursor.sx, state.cursor.sy);
     updatePanelGrab(css.x, css.y);
@@ -319,18 +598,83 @@ function handleGesture(g) {
   }
 
   if (g.type === "pinchEnd") {
+    if (state.grabMode === "crop") state.cropEditor?.pointerUp();
     endPanelGrab();
     return;
   }
 
-  // Optional point gesture snaps (throttled)
-  if (g.type === "point") {
-    const now = performance.now();
-    if (now - state.lastPointSnapTs < 900) return;
-    state.lastPointSnapTs = now;
+  if (g.type === "none") state.gestureBinder.reset();
+}
+
+function runBoundAction(action) {
+  if (action === "wheel") {
+    if (state.wheelOpen || !state.cursor) return;
+    const css = deviceToCss(state.cursor.sx, state.cursor.sy);
+    openWheel(css.x, css.y);
+    return;
+  }
+  runTool(action);
+}
+
+function handleTwoHandGesture(g) {
+  // Pinch-and-spread scales the grabbed panel (or the panel between the hands)
+  if (g.type === "twoPinchStart") {
+    let panel = state.grabbedPanel;
+    if (!panel) {
+      const { sx, sy } = normPointToScreen(g.cx, g.cy, els.overlay, els.cam);
+      const css = deviceToCss(sx, sy);
+      panel = document.elementFromPoint(css.x, css.y)?.closest(".panel") || null;
+    }
+    if (!panel) return;
+
+    // Over the crop editor: spread scales the crop, twisting rotates it
+    if (state.cropEditor && panel.contains(state.cropEditor.canvas)) {
+      state.cropEditor.beginTransform();
+      state.grabbedPanel = null;
+      state.grabMode = "cropTransform";
+      return;
+    }
+
+    const pr = panel.getBoundingClientRect();
+    state.grabbedPanel = panel;
+    state.grabMode = "scale";
+    state.resizeStart.w = pr.width;
+    state.resizeStart.h = pr.height;
+    panel.style.zIndex = String(nextZ());
+    return;
+  }
+
+  if (g.type === "twoPinchMove") {
+    if (state.grabMode === "cropTransform") {
+      state.cropEditor?.transform(g.scale, g.rotation ?? 0);
+      return;
+    }
+    if (state.grabMode !== "scale" || !state.grabbedPanel) return;
+    scalePanelGrab(g.scale);
+    return;
+  }
+
+  if (g.type === "twoPinchEnd") {
+    if (state.grabMode === "cropTransform") state.cropEditor?.endTransform();
+    if (state.grabMode === "scale" || state.grabMode === "cropTransform") endPanelGrab();
+    return;
+  }
+
+  // Two-hand "L" frame: preview the region, capture it once held
+  if (g.type === "frameMove") {
+    state.frameRect = { ...g.rect, progress: g.progress };
+    redrawOverlay();
+    return;
+  }
+
+  if (g.type === "frameConfirm") {
+    snapRegion(g.rect);
+    return;
+  }
 
-    if (!state.aiOn) return;
-    if (state.selectedIndex >= 0) snapSelectedObject();
+  if (g.type === "frameEnd") {
+    state.frameRect = null;
+    redrawOverlay();
   }
 }
 
@@ -347,49 +691,116 @@ async function toggleAI() {
 
   if (state.aiOn) {
     setHudStatus("Loading AI…");
-    await loadVisionModel((t) => setHudStatus(t));
+    try {
+      await loadVisionModel((t) => setHudStatus(t));
+    } catch (e) {
+      console.warn("AI load failed:", e);
+      state.aiOn = false;
+      els.btnAI.textContent = "AI: Off";
+      els.btnAI.classList.remove("on");
+      setHudStatus("AI failed to load");
+      return;
+    }
     setHudStatus("AI Ready");
-    if (!state.aiLooping) aiLoop();
+    aiLoop();
+    if (state.frozen) detectStill();   // boxes for a frame frozen while AI was off
   } else {
-    state.detections = [];
-    state.frozenDetections = [];
-    state.frozen = false;
-    state.selectedIndex = -1;
-    state.selectedLabel = "—";
-    setHudSelect("—");
-    setHudMode("Live");
-    clearOverlay();
-    setHudStatus("AI Off");
-    setHudFps("--");
+    stopAI("AI Off");
   }
 }
 
-async function aiLoop() {
-  if (state.aiLooping) return;
-  state.aiLooping = true;
+function stopAI(status) {
+  state.aiOn = false;
+  els.btnAI.textContent = "AI: Off";
+  els.btnAI.classList.remove("on");
+  stopAiLoop();
+  cancelDetection();
+  state.detections = [];
+  state.tracker.reset();
+  unfreeze();
+  clearSelection();
+  setHudMode("Live");
+  clearOverlay();
+  setHudStatus(status);
+  setHudFps("--");
+}
 
-  while (state.aiOn) {
-    if (!state.streaming || !isVisionReady()) break;
+function aiLoop() {
+  if (state.aiScheduler) return;
+  state.aiScheduler = createAiScheduler({
+    video: els.cam,
+    targetFps: getSetting("ai.targetFps"),
+    run: aiStep,
+    onStats: (st) => {
+      state.aiStats = st;
+      if (!state.frozen) setHudFps(st.fps, st.latency);
+    }
+  });
+  state.aiScheduler.start();
+}
 
-    // If frozen, skip detection update
-    if (!state.frozen) {
-      const t0 = performance.now();
-      const dets = await detectFrame(els.cam, 0.55);
-      const t1 = performance.now();
+function stopAiLoop() {
+  state.aiScheduler?.stop();
+  state.aiScheduler = null;
+  state.aiStats = null;
+}
 
-      state.detections = dets;
-      const dt = Math.max(1, t1 - t0);
-      state.aiFps = Math.round(1000 / dt);
-      setHudFps(String(state.aiFps));
-    } else {
-      setHudFps("—");
-    }
+// One scheduler tick. Returns false when no inference ran.
+async function aiStep() {
+  if (!state.aiOn || !state.streaming) {
+    stopAiLoop();
+    return false;
+  }
 
+  // Backend still loading (e.g. detector switch) or frozen: just keep the overlay alive
+  if (!isVisionReady() || state.frozen) {
+    if (state.frozen) setHudFps("—");
     redrawOverlay();
-    await sleep(140);
+    return false;
+  }
+
+  let dets;
+  try {
+    dets = await detectFrame(els.cam);
+  } catch (e) {
+    console.warn("Detection failed:", e);
+    dets = [];
+  }
+
+  // Inference is off-thread now: state may have changed while we waited
+  if (!state.aiOn || state.frozen) return false;
+
+  state.detections = state.tracker.update(dets);
+  if (state.selectedId != null && !state.tracker.has(state.selectedId)) clearSelection();
+
+  redrawOverlay();
+  return true;
+}
+
+async function switchDetector(id) {
+  if (!setActiveDetector(id)) return;
+
+  state.detections = [];
+  state.tracker.reset();
+  state.frozenDetections = [];
+  clearSelection();
+  redrawOverlay();
+
+  if (!state.aiOn) {
+    setHudStatus("Detector set");
+    return;
   }
 
-  state.aiLooping = false;
+  // aiStep idles while the new backend isn't ready. A switch during a pending load
+  // joins that load (vision.js reloads for the newest detector).
+  try {
+    await loadVisionModel((t) => setHudStatus(t));
+    if (state.aiOn) aiLoop();
+    if (state.frozen) detectStill();
+  } catch (e) {
+    console.warn("Detector load failed:", e);
+    if (state.aiOn) stopAI("Detector failed to load");
+  }
 }
 
 /* ---------- Selection / Overlay ---------- */
@@ -400,51 +811,89 @@ function currentDetections() {
 function redrawOverlay() {
   if (!state.aiOn) {
     clearOverlay();
-    return;
-  }
-  const dets = currentDetections();
-  drawDetections(els.overlay, dets, els.cam, {
-    selectedIndex: state.selectedIndex,
-    cursor: state.gesturesOn && state.cursor ? { sx: state.cursor.sx, sy: state.cursor.sy } : null
-  });
+  } else {
+    const dets = currentDetections();
+    drawDetections(els.overlay, dets, els.cam, {
+      selectedId: state.selectedId,
+      cursor: state.gesturesOn && state.cursor ? { sx: state.cursor.sx, sy: state.cursor.sy } : null
+    });
 
-  // Add a subtle pulse ring when selected
-  if (state.selectedIndex >= 0 && dets[state.selectedIndex]) {
-    drawSelectionPulse(dets[state.selectedIndex]);
+    // Add a subtle pulse ring when selected
+    const sel = selectedDetection();
+    if (sel) drawSelectionPulse(sel);
   }
+
+  if (state.frameRect) drawFrameRect(state.frameRect);
 }
 
 function updateSelectionFromCursor() {
-  const dets = currentDetections();
-  if (!state.cursor || !dets.length) {
-    state.selectedIndex = -1;
-    state.selectedLabel = "—";
-    setHudSelect("—");
+  const target = selectionCandidate();
+
+  // Dwell: the cursor must rest on a new target for a while before selection moves
+  if (!dwellSettled("select", target?.id ?? null)) return;
+
+  if (!target) {
+    clearSelection();
     return;
   }
+  state.selectedId = target.id;
+  state.selectedLabel = target.class || "—";
+  setHudSelect(state.selectedLabel);
+}
+
+function selectionCandidate() {
+  const dets = currentDetections();
+  if (!state.cursor || !dets.length) return null;
 
   const best = pickDetectionAt(state.cursor.sx, state.cursor.sy, dets, els.overlay, els.cam);
-  if (!best) {
-    state.selectedIndex = -1;
-    state.selectedLabel = "—";
-    setHudSelect("—");
-    return;
-  }
+  if (!best) return null;
 
   // Require cursor close enough so it doesn’t auto-select across the whole screen
-  const maxDist = (150 * (window.devicePixelRatio || 1)) ** 2;
+  const maxDist = (getSetting("selection.radiusPx") * (window.devicePixelRatio || 1)) ** 2;
   const dx = state.cursor.sx - best.rect.cx;
   const dy = state.cursor.sy - best.rect.cy;
-  if (dx*dx + dy*dy > maxDist) {
-    state.selectedIndex = -1;
-    state.selectedLabel = "—";
-    setHudSelect("—");
-    return;
+  if (dx*dx + dy*dy > maxDist) return null;
+
+  return best.det;
+}
+
+// True once `value` has been the candidate for `selection.dwellMs` (always true when off
+// or when it's already the current value)
+function dwellSettled(channel, value) {
+  const ms = getSetting("selection.dwellMs");
+  const d = state.dwell[channel];
+  if (ms <= 0 || value === d.current) {
+    d.current = value;
+    d.pending = value;
+    return true;
   }
 
-  state.selectedIndex = best.index;
-  state.selectedLabel = best.det?.class || "—";
-  setHudSelect(state.selectedLabel);
+  const now = performance.now();
+  if (value !== d.pending) {
+    d.pending = value;
+    d.since = now;
+    return false;
+  }
+  if (now - d.since < ms) return false;
+
+  d.current = value;
+  return true;
+}
+
+function selectedDetection() {
+  if (state.selectedId == null) return null;
+  return currentDetections().find(d => d.id === state.selectedId) || null;
+}
+
+function clearSelection() {
+  state.selectedId = null;
+  state.selectedLabel = "—";
+  setHudSelect("—");
+  resetDwell("select");
+}
+
+function resetDwell(channel) {
+  state.dwell[channel] = { current: null, pending: null, since: 0 };
 }
 
 function drawSelectionPulse(det) {
@@ -465,6 +914,30 @@ function drawSelectionPulse(det) {
   ctx.restore();
 }
 
+function drawFrameRect(fr) {
+  const ctx = els.overlay.getContext("2d");
+  const a = normPointToScreen(fr.x0, fr.y0, els.overlay, els.cam);
+  const b = normPointToScreen(fr.x1, fr.y1, els.overlay, els.cam);
+  const w = b.sx - a.sx;
+  const h = b.sy - a.sy;
+
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 6]);
+  ctx.strokeStyle = "rgba(255,255,255,0.85)";
+  ctx.strokeRect(a.sx, a.sy, w, h);
+
+  // Hold progress along the top edge
+  ctx.setLineDash([]);
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = "rgba(68,255,175,0.9)";
+  ctx.beginPath();
+  ctx.moveTo(a.sx, a.sy);
+  ctx.lineTo(a.sx + w * (fr.progress || 0), a.sy);
+  ctx.stroke();
+  ctx.restore();
+}
+
 /* ---------- Tool wheel ---------- */
 function openWheel(xCss, yCss) {
   if (!els.toolWheel) return;
@@ -474,6 +947,7 @@ function openWheel(xCss, yCss) {
   els.toolWheel.style.top = `${yCss}px`;
   els.toolWheel.setAttribute("aria-hidden", "false");
   state.wheelHotTool = null;
+  resetDwell("wheel");
   updateWheelHotFromCursor();
   setHudStatus("Tool wheel");
 }
@@ -496,61 +970,509 @@ function updateWheelHotFromCursor() {
   els.toolWheel.querySelectorAll(".wheelItem").forEach(btn => {
     const r = btn.getBoundingClientRect();
     const inside = css.x >= r.left && css.x <= r.right && css.y >= r.top && css.y <= r.bottom;
-    btn.classList.toggle("hot", inside);
     if (inside) hot = btn.getAttribute("data-tool");
   });
 
+  if (!dwellSettled("wheel", hot)) return;
+
+  els.toolWheel.querySelectorAll(".wheelItem").forEach(btn => {
+    btn.classList.toggle("hot", btn.getAttribute("data-tool") === hot);
+  });
   state.wheelHotTool = hot;
 }
 
 function runTool(tool) {
   if (tool === "snap") snapSelectedOrCenter();
+  if (tool === "snapSelected" && state.aiOn && selectedDetection()) snapSelectedObject();
   if (tool === "freeze") toggleFreeze();
-  if (tool === "clear") { state.selectedIndex = -1; setHudSelect("—"); redrawOverlay(); }
+  if (tool === "clear") { clearSelection(); redrawOverlay(); }
   if (tool === "gallery") openGalleryPanel();
+  if (tool === "ai") toggleAI();
+  if (tool === "dashboard") openDashboardPanel();
+  if (tool === "burst") startBurst();
+  if (tool === "interval") toggleInterval();
+  if (tool === "record") toggleRecording();
 }
 
 /* ---------- Freeze ---------- */
+// Freeze grabs the current video frame into state.still and shows it (#still) over the
+// video. Boxes, selection and every snap work on that frame until unfreeze; the hand
+// tracker keeps reading the live video so gestures still work.
 function toggleFreeze() {
-  if (!state.aiOn) return;
+  if (state.frozen) unfreeze();
+  else freeze();
+}
 
-  state.frozen = !state.frozen;
-  if (state.frozen) {
-    state.frozenDetections = [...state.detections];
-    setHudMode("Freeze");
+function freeze() {
+  if (!state.streaming || state.frozen || state.cameraDown) return;
+
+  cancelDetection();
+  state.still = captureToCanvas(els.cam, document.createElement("canvas"));
+  state.frozen = true;
+  state.frozenDetections = state.aiOn ? [...state.detections] : [];
+  drawStill();
+  els.still?.classList.remove("hidden");
+
+  setHudMode("Freeze");
+  setHudStatus("Frozen");
+  redrawOverlay();
+
+  if (state.aiOn && getSetting("ai.freezeRedetect")) detectStill();
+}
+
+function unfreeze() {
+  if (!state.frozen) return;
+
+  state.frozen = false;
+  state.frozenDetections = [];
+  state.still = null;
+  els.still?.classList.add("hidden");
+
+  setHudMode("Live");
+  setHudStatus("Live");
+  redrawOverlay();
+}
+
+// Screen-sized, cover-fitted copy of the still (same mapping as the overlay)
+function drawStill() {
+  if (!els.still || !state.still) return;
+  els.still.width = els.overlay.width;
+  els.still.height = els.overlay.height;
+  const t = coverTransform(els.overlay, els.cam);
+  els.still.getContext("2d").drawImage(state.still, t.offsetX, t.offsetY, t.vw * t.scale, t.vh * t.scale);
+}
+
+// One detection pass over the still. With ai.freezeRedetect the worker gets the full
+// frame instead of the usual downscaled one, which picks up small / distant objects.
+async function detectStill() {
+  const still = state.still;
+  if (!still || !state.aiOn || !isVisionReady()) return;
+
+  setHudStatus("Frozen · detecting…");
+  let dets;
+  try {
+    dets = await detectFrame(still, null, getSetting("ai.freezeRedetect") ? { maxSide: Infinity } : {});
+  } catch (e) {
+    console.warn("Still detection failed:", e);
     setHudStatus("Frozen");
-  } else {
-    state.frozenDetections = [];
-    setHudMode("Live");
-    setHudStatus("Live");
+    return;
+  }
+  if (state.still !== still || !state.aiOn) return;   // unfrozen / AI off meanwhile
+
+  state.frozenDetections = inheritIds(dets, state.frozenDetections);
+  if (state.selectedId != null && !state.frozenDetections.some(d => d.id === state.selectedId)) clearSelection();
+  setHudStatus(`Frozen · ${dets.length} object${dets.length === 1 ? "" : "s"}`);
+  redrawOverlay();
+}
+
+// Tracks and the still's boxes were filtered with the old settings. Live tracks start
+// over; the still drops what the new filter hides now and is re-detected once the
+// edits settle, so a looser filter brings boxes back.
+function detectionFilterChanged() {
+  state.detections = [];
+  state.tracker.reset();
+  if (state.frozen) {
+    state.frozenDetections = filterDetections(state.frozenDetections);
+    clearTimeout(state.stillRedetectTimer);
+    state.stillRedetectTimer = setTimeout(() => {
+      state.stillRedetectTimer = 0;
+      if (state.frozen) detectStill();
+    }, 300);
   }
+  if (state.selectedId != null && !currentDetections().some(d => d.id === state.selectedId)) clearSelection();
   redrawOverlay();
 }
 
+// Still boxes take the id of the live box they overlap (so the selection survives);
+// the rest get negative ids, which the tracker never hands out.
+function inheritIds(dets, prev) {
+  const free = [...prev];
+  let fresh = 0;
+  return [...dets].sort((a, b) => b.score - a.score).map((d) => {
+    let best = null;
+    let bestIou = 0.3;
+    for (const p of free) {
+      if (p.class !== d.class) continue;
+      const score = iou(p.bbox, d.bbox);
+      if (score > bestIou) { best = p; bestIou = score; }
+    }
+    if (best) free.splice(free.indexOf(best), 1);
+    return { ...d, id: best ? best.id : -(++fresh), coasting: false };
+  });
+}
+
+// Something to capture: the live camera, or the still while it's down
+function hasFrame() {
+  return state.streaming && (!state.cameraDown || !!state.still);
+}
+
+// A new canvas with the frame to capture: the still while frozen, else the live video
+function grabCurrentFrame() {
+  if (!state.still) return captureToCanvas(els.cam, document.createElement("canvas"));
+  const c = document.createElement("canvas");
+  c.width = state.still.width;
+  c.height = state.still.height;
+  c.getContext("2d").drawImage(state.still, 0, 0);
+  return c;
+}
+
 /* ---------- Snap (object-accurate) ---------- */
 async function snapSelectedObject() {
-  const dets = currentDetections();
-  const det = dets[state.selectedIndex];
+  const det = selectedDetection();
   if (!det) return;
   await snapDetection(det);
 }
 
-async function snapSelectedOrCenter() {
-  if (state.aiOn && state.selectedIndex >= 0) {
-    await snapSelectedObject();
-  } else {
-    await snapAt("center");
+async function snapSelectedOrCenter(opts) {
+  const det = state.aiOn ? selectedDetection() : null;
+  return det ? snapDetection(det, opts) : snapAt("center", opts);
+}
+
+/* ---------- Burst / interval capture ---------- */
+// Burst: grab N frames in quick succession, score each (Laplacian variance) on the
+// selected object's box or the center crop, save only the sharpest.
+async function startBurst() {
+  if (!hasFrame() || state.burst) return;
+
+  const n = state.frozen ? 1 : getSetting("capture.burstFrames");   // a still has nothing to choose from
+  const gapMs = getSetting("capture.burstGapMs");
+  state.burst = { i: 0, n };
+
+  let best = null;   // { frame, detections, det, score, index }
+  try {
+    for (let i = 0; i < n && hasFrame(); i++) {
+      state.burst.i = i + 1;
+      setHudCapture(`Burst ${progressBar((i + 1) / n)} ${i + 1}/${n}`);
+
+      await nextVideoFrame();
+      const frame = grabCurrentFrame();
+      // The boxes of this very frame: the sharpest may be saved well after the live ones moved on
+      const detections = captureDetections().map(d => ({ ...d, bbox: [...d.bbox] }));
+      const det = state.aiOn ? detections.find(d => d.id === state.selectedId) ?? null : null;
+      const score = laplacianVariance(frame, det ? bboxRegion(det.bbox, frame) : centerRegion(frame));
+      if (!best || score > best.score) best = { frame, detections, det, score, index: i };
+
+      if (gapMs) await new Promise(r => setTimeout(r, gapMs));
+    }
+
+    if (best) {
+      const extra = { burst: { frames: state.burst.i, picked: best.index, sharpness: Math.round(best.score) } };
+      const opts = { frame: best.frame, detections: best.detections, extra };
+      await (best.det ? snapDetection(best.det, opts) : snapAt("center", opts));
+    }
+  } catch (e) {
+    // Callers (wheel, Dashboard, bindings) fire and forget
+    console.warn("Burst failed:", e);
+    setHudStatus("Burst failed");
+  } finally {
+    state.burst = null;
+    setHudCapture(state.interval ? intervalHudText() : null);
   }
 }
 
-async function snapDetection(det) {
+// Interval (time-lapse): snap the selected object (or center) every X seconds until stopped.
+function toggleInterval() {
+  if (state.interval) return stopInterval();
   if (!state.streaming) return;
 
-  const full = captureToCanvas(els.cam, document.createElement("canvas"));
-  const vw = full.width, vh = full.height;
+  const everyMs = getSetting("capture.intervalSec") * 1000;
+  state.interval = { series: crypto.randomUUID(), count: 0, everyMs, next: performance.now(), timer: 0, busy: false };
+  setHudStatus("Interval capture started");
+  intervalTick();
+}
 
-  const [x, y, w, h] = det.bbox; // VIDEO SPACE
-  const pad = 0.18;              // padding around bbox
+function stopInterval() {
+  if (!state.interval) return;
+  clearTimeout(state.interval.timer);
+  clearTimeout(state.interval.hudTimer);
+  const { count } = state.interval;
+  state.interval = null;
+  setHudCapture(null);
+  setHudStatus(`Interval stopped · ${count} snap${count === 1 ? "" : "s"}`);
+}
+
+async function intervalTick() {
+  const iv = state.interval;
+  if (!iv) return;
+  if (!state.streaming) return stopInterval();
+
+  // Skip a beat rather than pile up if a save is slow (or while the camera is down)
+  if (!iv.busy && !state.burst && !state.cameraDown) {
+    iv.busy = true;
+    try {
+      const saved = await snapSelectedOrCenter({
+        inspect: false,
+        extra: { interval: { series: iv.series, index: iv.count, everySec: iv.everyMs / 1000 } }
+      });
+      if (saved) iv.count += 1;
+    } catch (e) {
+      console.warn("Interval snap failed:", e);
+    } finally {
+      iv.busy = false;
+    }
+  }
+  if (state.interval !== iv) return;
+
+  iv.next += iv.everyMs;
+  const now = performance.now();
+  if (iv.next < now) iv.next = now + iv.everyMs;
+  iv.timer = setTimeout(intervalTick, iv.next - now);
+  updateIntervalHud();
+}
+
+function intervalHudText() {
+  const iv = state.interval;
+  const left = Math.max(0, Math.ceil((iv.next - performance.now()) / 1000));
+  return `Interval #${iv.count} · next ${left}s`;
+}
+
+function updateIntervalHud() {
+  if (!state.interval || state.burst) return;
+  setHudCapture(intervalHudText());
+  clearTimeout(state.interval.hudTimer);
+  state.interval.hudTimer = setTimeout(updateIntervalHud, 1000);
+}
+
+/* ---------- Record (video + HUD overlay) ---------- */
+function toggleRecording() {
+  if (state.recorder) return stopRecording();
+  if (!state.streaming || state.cameraDown) return;
+  if (!canRecord()) {
+    setHudStatus("Recording isn't supported in this browser");
+    return;
+  }
+
+  try {
+    const recorder = createRecorder({
+      video: els.cam,
+      overlay: els.overlay,
+      still: els.still,
+      onError: (e) => {
+        console.warn("Recording failed:", e);
+        if (state.recorder !== recorder) return;
+        state.recorder = null;
+        setHudRec(null);
+        setHudStatus("Recording failed");
+      }
+    });
+    state.recorder = recorder;
+    recorder.start();
+  } catch (e) {
+    console.warn("Recorder failed to start:", e);
+    state.recorder = null;
+    setHudStatus("Recording failed to start");
+    return;
+  }
+  setHudStatus("Recording");
+  updateRecHud();
+}
+
+async function stopRecording() {
+  const rec = state.recorder;
+  if (!rec) return;
+  state.recorder = null;
+  setHudRec(null);
+
+  try {
+    const clip = await rec.stop();
+    if (!clip?.blob.size) return setHudStatus("Clip was empty");
+
+    const frame = { width: clip.width, height: clip.height };
+    const meta = {
+      ...captureMeta({ mode: "clip", full: frame, crop: null }),
+      clip: { durationMs: clip.durationMs, mime: clip.mime, ...frame }
+    };
+    const saved = await storeSnap({ blob: clip.blob, thumb: clip.poster, kind: "clip", meta });
+    if (saved) setHudStatus(`Clip saved · ${formatDuration(clip.durationMs)}`);
+  } catch (e) {
+    console.warn("Recording failed:", e);
+    setHudStatus("Recording failed");
+  }
+}
+
+function updateRecHud() {
+  if (!state.recorder) return;
+  setHudRec(`● REC ${formatDuration(state.recorder.elapsedMs)}`);
+  setTimeout(updateRecHud, 500);
+}
+
+function formatDuration(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Times out so a camera that stalls or is released mid-burst can't hang it
+function nextVideoFrame(timeoutMs = 250) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutMs);
+    const done = () => { clearTimeout(timer); resolve(); };
+    if (els.cam.requestVideoFrameCallback) els.cam.requestVideoFrameCallback(done);
+    else requestAnimationFrame(done);
+  });
+}
+
+function bboxRegion([x, y, w, h], frame) {
+  const x0 = clamp(Math.round(x), 0, frame.width - 1);
+  const y0 = clamp(Math.round(y), 0, frame.height - 1);
+  return { x: x0, y: y0, w: clamp(Math.round(w), 1, frame.width - x0), h: clamp(Math.round(h), 1, frame.height - y0) };
+}
+
+function centerRegion(frame) {
+  const size = Math.round(Math.min(frame.width, frame.height) * getSetting("capture.tapCropFraction"));
+  return { x: Math.round((frame.width - size) / 2), y: Math.round((frame.height - size) / 2), w: size, h: size };
+}
+
+function progressBar(p, cells = 6) {
+  const on = Math.round(p * cells);
+  return "▮".repeat(on) + "▯".repeat(cells - on);
+}
+
+// saveSnap() behind the storage manager (quota.js):
+// make room per the retention rules, warn near the quota, retry once on QuotaExceededError.
+// Resolves to the saved record, or null (the HUD says why).
+let persistAsked = false;
+
+async function storeSnap(rec) {
+  const bytes = rec.blob.size + (rec.source?.blob?.size || 0) + (rec.annotated?.size || 0);
+
+  // Nothing is deleted for a write that is refused anyway
+  const check = await checkWrite(bytes);
+  if (!check.ok) {
+    setHudStatus("Storage full — delete or export snaps (Dashboard → Storage)");
+    return null;
+  }
+
+  let pruned = 0;
+  try {
+    pruned = (await applyRetention({ reserveBytes: bytes, sizeOnly: true })).deleted;
+  } catch (e) {
+    console.warn("Retention failed:", e);
+  }
+
+  let saved = null;
+  try {
+    saved = await saveSnap(rec);
+  } catch (e) {
+    if (!isQuotaError(e)) throw e;
+    // Estimates can lag behind reality; prune and try once more
+    const { deleted } = await applyRetention({ reserveBytes: bytes * 2, sizeOnly: true }).catch(() => ({ deleted: 0 }));
+    pruned += deleted;
+    try {
+      if (deleted) saved = await saveSnap(rec);
+    } catch (e2) {
+      if (!isQuotaError(e2)) throw e2;
+    }
+    if (!saved) {
+      setHudStatus("Storage full — snap not saved");
+      return null;
+    }
+  }
+
+  // Keep-last / max-age once the new snap is safely in
+  try {
+    pruned += (await applyRetention()).deleted;
+  } catch (e) {
+    console.warn("Retention failed:", e);
+  }
+
+  if (!persistAsked) {
+    persistAsked = true;
+    requestPersistence();
+  }
+  // After the caller's "Snapped" status
+  if (check.warn) {
+    setTimeout(() => setHudStatus(`Storage ${Math.round(check.status.percent)}% used — consider exporting`), 1200);
+  } else if (pruned) {
+    setTimeout(() => setHudStatus(`Retention removed ${pruned} old snap${pruned === 1 ? "" : "s"}`), 1200);
+  }
+  return saved;
+}
+
+// Boxes that belong to the frame being captured: a burst frame's own snapshot, else the live ones
+function captureDetections(detections = null) {
+  return detections ?? (state.aiOn ? currentDetections() : []);
+}
+
+// Everything known at the moment of capture (Inspect → Details).
+// det: the snapped detection, if any. crop/bbox are video pixels.
+function captureMeta({ mode, det = null, full, crop, detections = null }) {
+  const { groupId, ...camera } = state.stream?.settings || {};
+  const box = (d) => ({
+    label: d.class,
+    score: Math.round(d.score * 1000) / 1000,
+    bbox: d.bbox.map(v => Math.round(v)),
+    trackId: d.id ?? null
+  });
+
+  return {
+    ...(det ? { label: det.class, score: det.score, bbox: det.bbox.map(v => Math.round(v)), trackId: det.id ?? null } : {}),
+    mode,
+    crop,
+    frame: { width: full.width, height: full.height },
+    frozen: state.frozen,
+    orientation: state.motionOn ? { alpha: Math.round(state.alpha * 10) / 10, beta: Math.round(state.beta * 10) / 10 } : null,
+    camera,
+    detector: state.aiOn ? getActiveDetectorId() : null,
+    // Coasting tracks are predictions, not detections: keep them out of the record
+    others: captureDetections(detections).filter(d => !d.coasting && (!det || d.id !== det.id)).map(box),
+    sessionId: SESSION_ID,
+    appVersion: APP_VERSION
+  };
+}
+
+// Report variant (capture.annotate): the crop with boxes, labels, selection and a
+// caption strip baked in. The raw crop is always saved as well.
+async function annotateCrop(crop, cropRect, det, frameDetections = null) {
+  if (!getSetting("capture.annotate")) return null;
+  // det may be a copy: use its box rather than the list's
+  const all = captureDetections(frameDetections);
+  const detections = det ? [...all.filter(d => d.id !== det.id), det] : all;
+
+  const canvas = renderAnnotated(crop, {
+    cropRect,
+    detections,
+    selectedId: det?.id ?? null,
+    caption: {
+      label: det?.class,
+      score: det?.score,
+      ts: Date.now(),
+      heading: state.motionOn ? state.alpha : null
+    }
+  });
+  return canvasToBlob(canvas, "image/jpeg", getSetting("capture.jpegQuality"));
+}
+
+// Whole frame + every visible box (video space), kept when capture.keepFrame is on.
+// This is what the dataset exporter (dataset.js) works from, so coasting tracks stay out.
+async function captureSource(full, selectedId = null, detections = null) {
+  if (!getSetting("capture.keepFrame")) return null;
+  const boxes = captureDetections(detections).filter(d => !d.coasting).map(d => ({
+    label: d.class,
+    score: d.score,
+    bbox: d.bbox.map(v => Math.round(v * 10) / 10),
+    selected: d.id === selectedId
+  }));
+  return {
+    blob: await canvasToBlob(full, "image/jpeg", getSetting("capture.jpegQuality")),
+    width: full.width,
+    height: full.height,
+    boxes
+  };
+}
+
+// opts (shared by snapDetection / snapAt):
+//   frame       a canvas grabbed earlier (burst keeps its sharpest) instead of the live video
+//   detections  the boxes as they were when `frame` was grabbed (default: the live ones)
+//   extra    merged into meta (e.g. { burst } / { interval })
+//   inspect  open the Inspect panel afterwards (interval mode turns this off)
+async function snapDetection(det, { frame = null, detections = null, extra = null, inspect = true } = {}) {
+  if (!frame && !hasFrame()) return;
+
+  const full = frame || grabCurrentFrame();
+  const vw = full.width, vh = full.height;
+
+  const [x, y, w, h] = det.bbox; // VIDEO SPACE
+  const pad = getSetting("capture.boxPadding");  // padding around bbox
   const cx = x + w / 2;
   const cy = y + h / 2;
 
@@ -564,23 +1486,27 @@ async function snapDetection(det) {
   const y0 = clamp(Math.round(cy - size / 2), 0, vh - size);
 
   const crop = document.createElement("canvas");
-  crop.width = 900;
-  crop.height = 900;
+  crop.width = getSetting("capture.cropSize");
+  crop.height = crop.width;
   const ctx = crop.getContext("2d");
   ctx.drawImage(full, x0, y0, size, size, 0, 0, crop.width, crop.height);
 
-  const dataUrl = crop.toDataURL("image/jpeg", 0.92);
-  const meta = { label: det.class, score: det.score };
+  const blob = await canvasToBlob(crop, "image/jpeg", getSetting("capture.jpegQuality"));
+  const meta = { ...captureMeta({ mode: "detection", det, full, crop: { x: x0, y: y0, w: size, h: size }, detections }), ...extra };
+  const source = await captureSource(full, det.id, detections);
+  const annotated = await annotateCrop(crop, meta.crop, det, detections);
 
-  const saved = await saveSnap({ dataUrl, meta });
-  openInspectPanel(saved);
+  const saved = await storeSnap({ blob, meta, source, annotated });
+  if (!saved) return null;
+  if (inspect) openInspectPanel(saved).catch(inspectFailed);
   setHudStatus(`Snapped: ${det.class}`);
+  return saved;
 }
 
-async function snapAt(where) {
-  if (!state.streaming) return;
+async function snapAt(where, { frame = null, detections = null, extra = null, inspect = true } = {}) {
+  if (!frame && !hasFrame()) return;
 
-  const full = captureToCanvas(els.cam, document.createElement("canvas"));
+  const full = frame || grabCurrentFrame();
   const vw = full.width, vh = full.height;
 
   const rect = els.cam.getBoundingClientRect();
@@ -595,45 +1521,108 @@ async function snapAt(where) {
   const cy = Math.round(ny * vh);
 
   const base = Math.min(vw, vh);
-  const size = Math.round(base * 0.26);
+  const size = Math.round(base * getSetting("capture.tapCropFraction"));
 
   const x0 = clamp(cx - Math.floor(size / 2), 0, vw - size);
   const y0 = clamp(cy - Math.floor(size / 2), 0, vh - size);
 
   const crop = document.createElement("canvas");
-  crop.width = 900;
-  crop.height = 900;
+  crop.width = getSetting("capture.cropSize");
+  crop.height = crop.width;
   const ctx = crop.getContext("2d");
   ctx.drawImage(full, x0, y0, size, size, 0, 0, crop.width, crop.height);
 
-  const dataUrl = crop.toDataURL("image/jpeg", 0.92);
+  const blob = await canvasToBlob(crop, "image/jpeg", getSetting("capture.jpegQuality"));
 
-  const meta = (state.aiOn && state.selectedIndex >= 0 && currentDetections()[state.selectedIndex])
-    ? { label: currentDetections()[state.selectedIndex].class, score: currentDetections()[state.selectedIndex].score }
-    : null;
+  const sel = detections
+    ? detections.find(d => d.id === state.selectedId) ?? null
+    : state.aiOn ? selectedDetection() : null;
+  const meta = { ...captureMeta({ mode: "tap", det: sel, full, crop: { x: x0, y: y0, w: size, h: size }, detections }), ...extra };
+  const source = await captureSource(full, sel?.id, detections);
+  const annotated = await annotateCrop(crop, meta.crop, sel, detections);
 
-  const saved = await saveSnap({ dataUrl, meta });
-  openInspectPanel(saved);
+  const saved = await storeSnap({ blob, meta, source, annotated });
+  if (!saved) return null;
+  if (inspect) openInspectPanel(saved).catch(inspectFailed);
   setHudStatus(meta?.label ? `Snapped: ${meta.label}` : "Snapped");
+  return saved;
+}
+
+// Capture an arbitrary region (normalized video coords, e.g. from the two-hand frame)
+async function snapRegion(rect) {
+  if (!hasFrame()) return;
+
+  const full = grabCurrentFrame();
+  const vw = full.width, vh = full.height;
+
+  const x0 = clamp(Math.round(rect.x0 * vw), 0, vw - 1);
+  const y0 = clamp(Math.round(rect.y0 * vh), 0, vh - 1);
+  const w = clamp(Math.round((rect.x1 - rect.x0) * vw), 1, vw - x0);
+  const h = clamp(Math.round((rect.y1 - rect.y0) * vh), 1, vh - y0);
+
+  // Keep the region's aspect; longest side = snapshot size
+  const maxSide = getSetting("capture.cropSize");
+  const k = maxSide / Math.max(w, h);
+
+  const crop = document.createElement("canvas");
+  crop.width = Math.round(w * k);
+  crop.height = Math.round(h * k);
+  const ctx = crop.getContext("2d");
+  ctx.drawImage(full, x0, y0, w, h, 0, 0, crop.width, crop.height);
+
+  const blob = await canvasToBlob(crop, "image/jpeg", getSetting("capture.jpegQuality"));
+  const meta = { ...captureMeta({ mode: "region", full, crop: { x: x0, y: y0, w, h } }), region: rect };
+  const source = await captureSource(full);
+  const annotated = await annotateCrop(crop, meta.crop, null);
+
+  const saved = await storeSnap({ blob, meta, source, annotated });
+  if (!saved) return;
+  openInspectPanel(saved).catch(inspectFailed);
+  setHudStatus("Snapped region");
 }
 
 /* ---------- Panels ---------- */
 function openDashboardPanel() {
+  const activeDetector = getActiveDetectorId();
+  const detectorOpts = listDetectors().map(d =>
+    `<option value="${d.id}"${d.id === activeDetector ? " selected" : ""}>${d.name}</option>`
+  ).join("");
+  const fpsOpts = SCHEMA["ai.targetFps"].options.map(f =>
+    `<option value="${f}"${f === getSetting("ai.targetFps") ? " selected" : ""}>${f} fps target</option>`
+  ).join("");
+
   const html = `
     <div class="kv"><small>Camera</small><div>${state.streaming ? "Live" : "Off"}</div></div>
     <div class="kv"><small>AI</small><div>${state.aiOn ? "On" : "Off"}</div></div>
     <div class="kv"><small>Gestures</small><div>${state.gesturesOn ? "On" : "Off"}</div></div>
     <div class="kv"><small>Mode</small><div>${state.frozen ? "Freeze" : "Live"}</div></div>
+    <div class="kv"><small>Detector</small>
+      <select id="pDetector">${detectorOpts}</select>
+    </div>
+    <div class="kv"><small>AI rate</small>
+      <select id="pAiFps">${fpsOpts}</select>
+    </div>
+    <div class="kv"><small>Storage</small><div id="pStorage">…</div></div>
 
     <div class="grid" style="margin-top:10px;">
       <button class="dockBtn" id="pAI">${state.aiOn ? "AI Off" : "AI On"}</button>
       <button class="dockBtn" id="pGest">${state.gesturesOn ? "Gestures Off" : "Gestures On"}</button>
       <button class="dockBtn" id="pFreeze">${state.frozen ? "Unfreeze" : "Freeze"}</button>
       <button class="dockBtn" id="pSnap">Snap</button>
+      <button class="dockBtn" id="pFilters">Filters</button>
+      <button class="dockBtn" id="pSettings">Settings</button>
+      <button class="dockBtn" id="pCamera">Camera</button>
+      <button class="dockBtn" id="pCalib">Calibrate</button>
+      <button class="dockBtn" id="pBindings">Bindings</button>
+      <button class="dockBtn" id="pBurst">Burst</button>
+      <button class="dockBtn" id="pInterval">${state.interval ? "Stop interval" : "Interval"}</button>
+      <button class="dockBtn" id="pRecord">${state.recorder ? "Stop rec" : "Record"}</button>
+      <button class="dockBtn" id="pPersist">Keep data</button>
+      <button class="dockBtn" id="pPrune">Prune now</button>
     </div>
 
     <div class="notice" style="margin-top:10px;">
-      Open palm = tool wheel. Pinch = snap selected object (bbox crop).
+      Pinch = snap selected object (bbox crop). Other gestures: see Bindings.
     </div>
   `;
 
@@ -642,7 +1631,7 @@ function openDashboardPanel() {
     x: 12,
     y: 110,
     w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
-    h: Math.min(380, Math.floor(window.innerHeight * 0.48)),
+    h: Math.min(420, Math.floor(window.innerHeight * 0.52)),
     bodyHTML: html
   });
 
@@ -654,72 +1643,911 @@ function openDashboardPanel() {
   $("#pGest", body)?.addEventListener("click", () => toggleGestures());
   $("#pFreeze", body)?.addEventListener("click", () => toggleFreeze());
   $("#pSnap", body)?.addEventListener("click", () => snapSelectedOrCenter());
+  $("#pBurst", body)?.addEventListener("click", () => startBurst());
+  $("#pRecord", body)?.addEventListener("click", (e) => {
+    toggleRecording();
+    e.currentTarget.textContent = state.recorder ? "Stop rec" : "Record";
+  });
+  $("#pInterval", body)?.addEventListener("click", (e) => {
+    toggleInterval();
+    e.currentTarget.textContent = state.interval ? "Stop interval" : "Interval";
+  });
+  $("#pDetector", body)?.addEventListener("change", (e) => switchDetector(e.target.value));
+  $("#pAiFps", body)?.addEventListener("change", (e) => setSetting("ai.targetFps", e.target.value));
+  // The Settings panel edits the same value
+  const offFps = onSettingChange("ai.targetFps", (fps) => {
+    if (!panel.isConnected) { offFps(); return; }
+    const sel = $("#pAiFps", body);
+    if (sel) sel.value = String(fps);
+  });
+  $("#pFilters", body)?.addEventListener("click", () => openFiltersPanel());
+  $("#pSettings", body)?.addEventListener("click", () => openSettingsPanel());
+  $("#pCamera", body)?.addEventListener("click", () => openCameraPanel());
+  $("#pCalib", body)?.addEventListener("click", () => startCalibration());
+  $("#pBindings", body)?.addEventListener("click", () => openBindingsPanel());
+
+  $("#pPersist", body)?.addEventListener("click", async () => {
+    const ok = await requestPersistence();
+    setHudStatus(ok ? "Storage is persistent" : "Browser declined persistent storage");
+    renderStorageStatus(body);
+  });
+  $("#pPrune", body)?.addEventListener("click", async () => {
+    try {
+      const { deleted, freedBytes } = await applyRetention();
+      setHudStatus(deleted ? `Pruned ${deleted} snaps (${formatBytes(freedBytes)})` : "Nothing to prune (see Settings → Storage)");
+    } catch (e) {
+      console.warn("Prune failed:", e);
+      setHudStatus("Prune failed");
+    }
+    renderStorageStatus(body);
+  });
+  renderStorageStatus(body);
+}
+
+async function renderStorageStatus(body) {
+  const el = $("#pStorage", body);
+  if (!el) return;
+  const st = await getStorageStatus();
+  if (st.quota == null) {
+    el.textContent = "Unknown";
+    return;
+  }
+  const warn = st.percent >= getSetting("storage.warnPercent");
+  el.textContent = `${formatBytes(st.usage)} / ${formatBytes(st.quota)} (${st.percent.toFixed(1)}%)${st.persisted ? " · kept" : ""}`;
+  el.style.color = warn ? "rgba(255,190,90,0.95)" : "";
+  const btn = $("#pPersist", body);
+  if (btn) btn.disabled = st.persisted;
+}
+
+function openBindingsPanel() {
+  const panel = createPanel({
+    title: "Gesture Bindings",
+    x: 12,
+    y: 160,
+    w: Math.min(380, Math.floor(window.innerWidth * 0.94)),
+    h: Math.min(500, Math.floor(window.innerHeight * 0.6)),
+    bodyHTML: ""
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+  renderBindingsPanel(panel);
+}
+
+function renderBindingsPanel(panel) {
+  const opts = (list, v) => list.map(([val, text]) =>
+    `<option value="${val}"${val === v ? " selected" : ""}>${escapeHtml(text)}</option>`
+  ).join("");
+  const gestureList = GESTURES.map(g => [g, g.replace("_", " ")]);
+  const actionList = Object.entries(ACTIONS);
+
+  const rows = getBindings().map((b) => `
+    <div class="bindRow" style="display:grid; grid-template-columns:1fr 1fr; gap:6px; padding:8px 0; border-bottom:1px solid rgba(255,255,255,0.08);">
+      <select data-f="gesture">${opts(gestureList, b.gesture)}</select>
+      <select data-f="action">${opts(actionList, b.action)}</select>
+      <label><small>Hold ms</small> <input data-f="holdMs" type="number" min="0" step="100" value="${b.holdMs}" style="width:70px;" /></label>
+      <label><small>Debounce ms</small> <input data-f="debounceMs" type="number" min="0" step="100" value="${b.debounceMs}" style="width:70px;" /></label>
+      <button class="dockBtn" data-act="del" style="grid-column: span 2;">Remove</button>
+    </div>
+  `).join("");
+
+  setPanelBody(panel, `
+    <div id="bRows">${rows || `<div class="notice">No bindings.</div>`}</div>
+    <div class="grid" style="margin-top:10px;">
+      <button class="dockBtn" id="bAdd">Add binding</button>
+      <button class="dockBtn" id="bReset">Reset</button>
+    </div>
+    <div class="notice" style="margin-top:10px;">
+      Hold = how long the gesture must be held. Pinch is always: wheel pick / grab panel / snap.
+    </div>
+  `);
+
+  const body = getPanelBody(panel);
+
+  const collect = () => [...body.querySelectorAll(".bindRow")].map(row => ({
+    gesture: $('[data-f="gesture"]', row).value,
+    action: $('[data-f="action"]', row).value,
+    holdMs: $('[data-f="holdMs"]', row).value,
+    debounceMs: $('[data-f="debounceMs"]', row).value
+  }));
+
+  $("#bRows", body)?.addEventListener("change", () => setBindings(collect()));
+
+  $("#bRows", body)?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.('[data-act="del"]');
+    if (!btn) return;
+    btn.closest(".bindRow").remove();
+    setBindings(collect());
+    renderBindingsPanel(panel);
+  });
+
+  $("#bAdd", body)?.addEventListener("click", () => {
+    setBindings([...collect(), { gesture: "Thumb_Up", holdMs: 600, action: "none", debounceMs: 1000 }]);
+    renderBindingsPanel(panel);
+  });
+
+  $("#bReset", body)?.addEventListener("click", () => {
+    resetBindings();
+    renderBindingsPanel(panel);
+  });
+}
+
+function openCameraPanel() {
+  if (state.cameraPanel?.isConnected) closePanel(state.cameraPanel);
+
+  const panel = createPanel({
+    title: "Camera",
+    x: 12,
+    y: 140,
+    w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
+    h: Math.min(520, Math.floor(window.innerHeight * 0.62)),
+    onClose: () => { if (state.cameraPanel === panel) state.cameraPanel = null; },
+    bodyHTML: ""
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+  state.cameraPanel = panel;
+  renderCameraPanel(panel);
 }
 
+const FACING_LABELS = { environment: "back", user: "front", external: "external" };
+
+async function renderCameraPanel(panel) {
+  const cams = await listCameras().catch(() => []);
+  if (!panel.isConnected) return;
+
+  const deviceId = getSetting("camera.deviceId");
+  const live = state.streaming ? state.stream.settings : null;
+  const track = state.streaming ? state.stream.track : null;
+  const controls = track ? getCameraControls(track) : [];
+
+  const deviceOpts = [
+    `<option value="">Auto (${FACING_LABELS[getSetting("camera.facing")]})</option>`,
+    ...cams.map(c => `<option value="${escapeHtml(c.deviceId)}"${c.deviceId === deviceId ? " selected" : ""}>
+      ${escapeHtml(c.label)}${c.facing ? ` · ${FACING_LABELS[c.facing]}` : ""}</option>`)
+  ].join("");
+  const resOpts = Object.entries(RESOLUTIONS).map(([k, r]) =>
+    `<option value="${k}"${k === getSetting("camera.resolution") ? " selected" : ""}>${k} (${r.label})</option>`
+  ).join("");
+  const fpsOpts = SCHEMA["camera.frameRate"].options.map(f =>
+    `<option value="${f}"${f === getSetting("camera.frameRate") ? " selected" : ""}>${f ? `${f} fps` : "Camera default"}</option>`
+  ).join("");
+
+  const controlRows = controls.map(c => {
+    let input;
+    if (c.type === "range") {
+      input = `<div><input data-ctl="${c.key}" type="range" min="${c.min}" max="${c.max}" step="${c.step}" value="${c.value}" />
+        <span data-val="${c.key}">${formatControl(c, c.value)}</span></div>`;
+    } else if (c.type === "mode") {
+      input = `<select data-ctl="${c.key}">${c.options.map(o =>
+        `<option value="${escapeHtml(o)}"${o === c.value ? " selected" : ""}>${escapeHtml(o)}</option>`).join("")}</select>`;
+    } else {
+      input = `<input data-ctl="${c.key}" type="checkbox"${c.value ? " checked" : ""} />`;
+    }
+    return `<div class="kv"><small>${escapeHtml(c.label)}</small>${input}</div>`;
+  }).join("");
+
+  setPanelBody(panel, `
+    <div class="kv"><small>Device</small><select id="camDevice">${deviceOpts}</select></div>
+    <div class="kv"><small>Resolution</small><select id="camRes">${resOpts}</select></div>
+    <div class="kv"><small>Frame rate</small><select id="camFps">${fpsOpts}</select></div>
+    <div class="kv"><small>Live</small>
+      <div>${live ? `${live.width}×${live.height}${live.frameRate ? ` @ ${Math.round(live.frameRate)} fps` : ""}` : "Off"}</div>
+    </div>
+
+    <div class="sheetTitle" style="font-size:13px; margin:10px 0 4px;">Controls</div>
+    <div id="camControls">
+      ${controlRows || `<div class="notice">${track
+        ? "This camera doesn't expose zoom, torch, focus or exposure controls."
+        : "Start the camera to see its controls."}</div>`}
+    </div>
+
+    <div class="grid" style="margin-top:10px;">
+      <button class="dockBtn" id="camFlip">Flip</button>
+      <button class="dockBtn" id="camResetCtl"${track ? "" : " disabled"}>Reset controls</button>
+    </div>
+    <div class="notice" style="margin-top:10px;">
+      Choices are saved on this device and reapplied the next time the camera starts.
+    </div>
+  `);
+
+  const body = getPanelBody(panel);
+  $("#camDevice", body)?.addEventListener("change", (e) => setSetting("camera.deviceId", e.target.value));
+  $("#camRes", body)?.addEventListener("change", (e) => setSetting("camera.resolution", e.target.value));
+  $("#camFps", body)?.addEventListener("change", (e) => setSetting("camera.frameRate", e.target.value));
+
+  // Flip: back <-> front by facing; drops a specific device choice
+  $("#camFlip", body)?.addEventListener("click", () => {
+    const current = live?.facingMode || cams.find(c => c.deviceId === deviceId)?.facing || getSetting("camera.facing");
+    setSetting("camera.facing", current === "user" ? "environment" : "user");
+    setSetting("camera.deviceId", "");
+    if (!state.streaming) renderCameraPanel(panel);
+  });
+
+  $("#camResetCtl", body)?.addEventListener("click", () => {
+    resetCameraControls(track);
+    restartCamera();
+  });
+
+  // Sliders fire continuously: apply the latest value per control, one call at a time
+  const pending = new Map();
+  let busy = false;
+  async function applyControl(key, value) {
+    pending.set(key, value);
+    if (busy) return;
+    busy = true;
+    while (pending.size) {
+      const [k, v] = pending.entries().next().value;
+      pending.delete(k);
+      try {
+        await applyCameraControl(track, k, v);
+      } catch (e) {
+        console.warn(`applyConstraints(${k}) failed:`, e);
+        setHudStatus(`${controls.find(c => c.key === k)?.label || k} can't be set right now`);
+      }
+    }
+    busy = false;
+    if (state.stream?.track === track) state.stream.settings = track.getSettings();
+  }
+
+  const onControl = (e) => {
+    const key = e.target?.dataset?.ctl;
+    const c = controls.find(x => x.key === key);
+    if (!c) return;
+    const value = c.type === "range" ? Number(e.target.value) : c.type === "toggle" ? e.target.checked : e.target.value;
+    const label = $(`[data-val="${key}"]`, body);
+    if (label) label.textContent = formatControl(c, value);
+    applyControl(key, value);
+  };
+  // On the re-rendered container, not the panel body, so a re-render drops the old track's handlers
+  const box = $("#camControls", body);
+  box.addEventListener("input", (e) => { if (e.target.type === "range") onControl(e); });
+  box.addEventListener("change", (e) => { if (e.target.type !== "range") onControl(e); });
+}
+
+function formatControl(c, v) {
+  if (c.key === "zoom") return `${Number(v).toFixed(1)}×`;
+  if (c.key === "exposureCompensation") return `${v > 0 ? "+" : ""}${Number(v).toFixed(1)} EV`;
+  if (c.key === "colorTemperature") return `${Math.round(v)} K`;
+  return String(Math.round(v * 100) / 100);
+}
+
+function openSettingsPanel() {
+  const panel = createPanel({
+    title: "Settings",
+    x: 12,
+    y: 140,
+    w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
+    h: Math.min(520, Math.floor(window.innerHeight * 0.62)),
+    bodyHTML: ""
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+  renderSettingsPanel(panel);
+
+  // On the body, which outlives the re-render after "Reset all"
+  getPanelBody(panel).addEventListener("change", (e) => {
+    const key = e.target?.dataset?.key;
+    if (!key) return;
+    const raw = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setSettingInput(e.target, setSetting(key, raw));
+  });
+
+  // Keep inputs in sync when a value changes elsewhere (Dashboard, calibration…)
+  const off = onSettingChange("*", (value, prev, key) => {
+    if (!panel.isConnected) { off(); return; }
+    const inp = getPanelBody(panel).querySelector(`[data-key="${key}"]`);
+    if (inp && document.activeElement !== inp) setSettingInput(inp, value);
+  });
+}
+
+function renderSettingsPanel(panel) {
+  const groups = new Map();
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.hidden) continue;
+    if (!groups.has(spec.group)) groups.set(spec.group, []);
+    groups.get(spec.group).push([key, spec]);
+  }
+
+  const html = [...groups].map(([group, items]) => `
+    <div class="sheetTitle" style="font-size:13px; margin:10px 0 4px;">${escapeHtml(group)}</div>
+    ${items.map(([key, spec]) => `
+      <div class="kv"><small>${escapeHtml(spec.label || key)}</small>${settingInputHTML(key, spec)}</div>
+    `).join("")}
+  `).join("");
+
+  setPanelBody(panel, `
+    ${html}
+    <div class="grid" style="margin-top:10px;">
+      <button class="dockBtn" id="sReset">Reset all</button>
+    </div>
+    <div class="notice" style="margin-top:10px;">Changes apply immediately and are saved on this device.</div>
+  `);
+
+  const body = getPanelBody(panel);
+  $("#sReset", body)?.addEventListener("click", () => {
+    resetAllSettings();
+    renderSettingsPanel(panel);
+  });
+}
+
+// Bindings, the detection filter, dataset labels and camera controls keep their own
+// keys, so "Reset all" resets them alongside the settings store
+function resetAllSettings() {
+  resetSettings();
+  resetBindings();
+  resetDetectionFilter();
+  detectionFilterChanged();
+  setRelabelMap({});
+  clearCameraControls();
+  scheduleCameraRestart();
+}
+
+function settingInputHTML(key, spec) {
+  const v = getSetting(key);
+  if (spec.type === "boolean") {
+    return `<input type="checkbox" data-key="${key}"${v ? " checked" : ""} />`;
+  }
+  if (spec.type === "enum" || (spec.type === "string" && spec.options)) {
+    const opts = spec.options.map(o =>
+      `<option value="${escapeHtml(o)}"${o === v ? " selected" : ""}>${escapeHtml(o)}</option>`
+    ).join("");
+    return `<select data-key="${key}">${opts}</select>`;
+  }
+  if (spec.type === "string") {
+    return `<input type="text" data-key="${key}" value="${escapeHtml(v)}" />`;
+  }
+  return `<input type="number" data-key="${key}" value="${v}" style="width:80px;"
+    ${spec.min !== undefined ? `min="${spec.min}"` : ""} ${spec.max !== undefined ? `max="${spec.max}"` : ""}
+    ${spec.step ? `step="${spec.step}"` : ""} />`;
+}
+
+function setSettingInput(inp, value) {
+  if (inp.type === "checkbox") inp.checked = !!value;
+  else inp.value = String(value);
+}
+
+function openFiltersPanel() {
+  const panel = createPanel({
+    title: "Detection Filters",
+    x: 12,
+    y: 150,
+    w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
+    h: Math.min(500, Math.floor(window.innerHeight * 0.6)),
+    bodyHTML: ""
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+  renderFiltersPanel(panel);
+}
+
+function renderFiltersPanel(panel) {
+  const f = getDetectionFilter();
+  const info = getDetectorInfo();
+
+  // Loaded backend's label map, plus anything already configured (so nothing disappears)
+  const labels = [...new Set([
+    ...(info?.labels || []), ...f.include, ...f.exclude, ...Object.keys(f.perClass)
+  ])];
+
+  const rows = labels.map(c => {
+    const mode = f.include.includes(c) ? "include" : f.exclude.includes(c) ? "exclude" : "";
+    return `
+      <div class="kv classRow" data-cls="${escapeHtml(c)}">
+        <small>${escapeHtml(c)}</small>
+        <div style="display:flex; gap:6px;">
+          <select data-role="mode">
+            <option value=""${mode === "" ? " selected" : ""}>Auto</option>
+            <option value="include"${mode === "include" ? " selected" : ""}>Only</option>
+            <option value="exclude"${mode === "exclude" ? " selected" : ""}>Hide</option>
+          </select>
+          <input data-role="min" type="number" min="0" max="1" step="0.05" style="width:64px;"
+            placeholder="${f.minScore}" value="${f.perClass[c] ?? ""}" />
+        </div>
+      </div>
+    `;
+  }).join("");
+
+  setPanelBody(panel, `
+    <div class="kv"><small>Min score</small>
+      <div><input id="fMin" type="range" min="0.05" max="0.95" step="0.05" value="${f.minScore}" />
+      <span id="fMinVal">${Math.round(f.minScore * 100)}%</span></div>
+    </div>
+    <div class="kv"><small>Max boxes</small>
+      <input id="fMax" type="number" min="1" max="100" step="1" value="${f.maxBoxes}" style="width:64px;" />
+    </div>
+    <input id="fSearch" type="search" placeholder="Find class…" style="width:100%; margin:8px 0;" />
+    <div id="fRows" style="max-height:240px; overflow:auto;">
+      ${rows || `<div class="notice">Turn AI on to list the detector's classes.</div>`}
+    </div>
+    <div class="grid" style="margin-top:10px;">
+      <button class="dockBtn" id="fReset">Reset</button>
+    </div>
+    <div class="notice" style="margin-top:10px;">
+      Only = show just these classes. Hide = never show. Blank score = global min.
+    </div>
+  `);
+
+  const body = getPanelBody(panel);
+
+  $("#fMin", body)?.addEventListener("input", (e) => {
+    const v = Number(e.target.value);
+    $("#fMinVal", body).textContent = `${Math.round(v * 100)}%`;
+    setDetectionFilter({ minScore: v });
+    detectionFilterChanged();
+    body.querySelectorAll('[data-role="min"]').forEach(inp => { inp.placeholder = String(v); });
+  });
+
+  $("#fMax", body)?.addEventListener("change", (e) => {
+    const next = setDetectionFilter({ maxBoxes: Number(e.target.value) });
+    detectionFilterChanged();
+    e.target.value = String(next.maxBoxes);
+  });
+
+  $("#fSearch", body)?.addEventListener("input", (e) => {
+    const q = e.target.value.trim().toLowerCase();
+    body.querySelectorAll(".classRow").forEach(row => {
+      row.style.display = !q || row.dataset.cls.toLowerCase().includes(q) ? "" : "none";
+    });
+  });
+
+  // Any row edit rebuilds include/exclude/perClass from all rows
+  $("#fRows", body)?.addEventListener("change", () => {
+    const include = [], exclude = [], perClass = {};
+    body.querySelectorAll(".classRow").forEach(row => {
+      const cls = row.dataset.cls;
+      const mode = $('[data-role="mode"]', row).value;
+      const min = $('[data-role="min"]', row).value;
+      if (mode === "include") include.push(cls);
+      if (mode === "exclude") exclude.push(cls);
+      if (min !== "") perClass[cls] = Number(min);
+    });
+    setDetectionFilter({ include, exclude, perClass });
+    detectionFilterChanged();
+  });
+
+  $("#fReset", body)?.addEventListener("click", () => {
+    resetDetectionFilter();
+    detectionFilterChanged();
+    renderFiltersPanel(panel);
+  });
+}
+
+const GALLERY_PAGE = 24;
+
 async function openGalleryPanel() {
+  // Thumbnail object URLs live until the panel closes or the filters change
+  const urls = createUrlScope();
+  let observer = null;
+
   const panel = createPanel({
     title: "Gallery",
     x: 12,
     y: 240,
     w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
     h: Math.min(460, Math.floor(window.innerHeight * 0.56)),
+    bodyHTML: `<div class="notice">Loading…</div>`,
+    onClose: () => {
+      observer?.disconnect();
+      urls.revokeAll();
+      if (state.gallery?.panel === panel) state.gallery = null;
+    }
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+
+  const q = state.galleryQuery;
+  const [labels, snapTags] = await Promise.all([
+    listSnapLabels().catch(() => []),
+    listSnapTags().catch(() => [])
+  ]);
+  let tags = snapTags;   // refreshed after Inspect edits (state.gallery)
+  if (q.label && !labels.includes(q.label)) q.label = "";
+  if (q.tag && !tags.includes(q.tag)) q.tag = "";
+  const opt = (v, text, cur) => `<option value="${escapeHtml(v)}"${v === cur ? " selected" : ""}>${escapeHtml(text)}</option>`;
+
+  setPanelBody(panel, `
+    <div class="grid" style="margin-bottom:10px;">
+      <button class="dockBtn" id="gExport">Export all</button>
+      <button class="dockBtn" id="gImport">Import</button>
+      <button class="dockBtn" id="gDataset">Dataset…</button>
+    </div>
+    <input id="gImportFile" type="file" accept=".zip,application/zip" hidden />
+    <div class="kv"><small>Label</small>
+      <select id="gLabel">${opt("", "All", q.label)}${labels.map(l => opt(l, l, q.label)).join("")}</select>
+    </div>
+    <div class="kv"><small>From / to</small>
+      <div style="display:flex; gap:6px;">
+        <input id="gFrom" type="date" value="${q.from}" style="width:120px;" />
+        <input id="gTo" type="date" value="${q.to}" style="width:120px;" />
+      </div>
+    </div>
+    <div class="kv"><small>Min confidence</small>
+      <div><input id="gMin" type="range" min="0" max="0.95" step="0.05" value="${q.minScore}" />
+      <span id="gMinVal">${Math.round(q.minScore * 100)}%</span></div>
+    </div>
+    <div class="kv"><small>Sort</small>
+      <select id="gOrder">${opt("newest", "Newest first", q.order)}${opt("oldest", "Oldest first", q.order)}</select>
+    </div>
+    <div id="gTags" style="display:${tags.length ? "flex" : "none"}; flex-wrap:wrap; gap:6px; margin-top:8px;">
+      ${tags.map(t => tagChipHTML(t, t === q.tag)).join("")}
+    </div>
+    <div class="gallery" id="gGrid" style="margin-top:10px;"></div>
+    <div class="notice" id="gMore" style="margin-top:10px;">Loading…</div>
+  `);
+
+  const body = getPanelBody(panel);
+  const grid = $("#gGrid", body);
+  const more = $("#gMore", body);
+
+  const byId = new Map();
+  let next = null;
+  let done = false;
+  let loading = false;
+  let gen = 0;   // bumped on filter change; stale pages are dropped
+
+  async function loadPage() {
+    if (loading || done) return;
+    loading = true;
+    const myGen = gen;
+    const page = await querySnaps({ ...galleryQueryOptions(q), after: next, limit: GALLERY_PAGE }, urls)
+      .catch((e) => {
+        console.warn("Gallery query failed:", e);
+        return { items: [], next: null };
+      });
+    loading = false;
+    if (!panel.isConnected) return;
+    if (myGen !== gen) return loadPage();
+
+    for (const s of page.items) byId.set(s.id, s);
+    grid.insertAdjacentHTML("beforeend", page.items.map(s => `
+      <div class="thumb" data-id="${s.id}" style="position:relative;">
+        <img src="${s.thumbUrl}" alt="snap" loading="lazy"/>
+        ${s.kind === "clip" ? `<span style="position:absolute; left:6px; bottom:6px; padding:1px 6px; border-radius:6px;
+          background:rgba(0,0,0,0.6); font-size:11px;">▶ ${formatDuration(s.meta?.clip?.durationMs || 0)}</span>` : ""}
+      </div>
+    `).join(""));
+
+    next = page.next;
+    done = !next;
+    const filtered = q.label || q.tag || q.from || q.to || q.minScore > 0;
+    more.textContent = !done ? "Loading…"
+      : byId.size ? "Tap a shot to inspect."
+      : filtered ? "No snapshots match these filters."
+      : "No snapshots yet. Use pinch-snap on a selected object.";
+
+    // Re-observe so a sentinel that is still in view triggers the next page
+    if (!done && observer) {
+      observer.unobserve(more);
+      observer.observe(more);
+    }
+  }
+
+  function reload() {
+    gen += 1;
+    next = null;
+    done = false;
+    byId.clear();
+    grid.innerHTML = "";
+    urls.revokeAll();
+    more.textContent = "Loading…";
+    loadPage();
+  }
+
+  // Infinite scroll: the panel body scrolls, the "Loading…" line is the sentinel
+  observer = new IntersectionObserver((entries) => {
+    if (entries.some(e => e.isIntersecting)) loadPage();
+  }, { root: body, rootMargin: "0px 0px 200px 0px" });
+  observer.observe(more);
+
+  grid.addEventListener("click", (e) => {
+    const el = e.target.closest(".thumb");
+    const snap = el && byId.get(el.getAttribute("data-id"));
+    if (snap) openInspectPanel(snap).catch(inspectFailed);
+  });
+
+  $("#gExport", body)?.addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    setHudStatus("Exporting…");
+    try {
+      const { blob, count } = await exportArchive();
+      const d = new Date();
+      downloadBlob(blob, `snapshots-${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}.zip`);
+      setHudStatus(`Exported ${count} snap${count === 1 ? "" : "s"}`);
+    } catch (err) {
+      console.warn("Export failed:", err);
+      setHudStatus("Export failed");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  $("#gImport", body)?.addEventListener("click", () => $("#gImportFile", body).click());
+  $("#gDataset", body)?.addEventListener("click", () => openDatasetPanel());
+  $("#gImportFile", body)?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setHudStatus("Importing…");
+    try {
+      const { added, skipped } = await importArchive(file);
+      setHudStatus(`Imported ${added}, skipped ${skipped}`);
+      // Reopen so the label/tag lists include the imported snaps
+      closePanel(panel);
+      openGalleryPanel();
+    } catch (err) {
+      console.warn("Import failed:", err);
+      setHudStatus(`Import failed: ${err.message}`);
+    }
+  });
+
+  // Tag chips: tap to filter, tap the active one again to clear
+  function renderTags() {
+    const el = $("#gTags", body);
+    el.style.display = tags.length ? "flex" : "none";
+    el.innerHTML = tags.map(t => tagChipHTML(t, t === q.tag)).join("");
+  }
+  $("#gTags", body)?.addEventListener("click", (e) => {
+    const chip = e.target.closest("[data-tag]");
+    if (!chip) return;
+    q.tag = q.tag === chip.dataset.tag ? "" : chip.dataset.tag;
+    renderTags();
+    reload();
+  });
+
+  // Inspect edits tags / deletes snaps while the Gallery is open
+  state.gallery = {
+    panel,
+    removeSnap(id) {
+      if (!panel.isConnected || !byId.delete(id)) return;
+      grid.querySelector(`.thumb[data-id="${CSS.escape(id)}"]`)?.remove();
+      if (!byId.size) reload();   // back to the empty-state line (or the next page)
+    },
+    async refreshTags() {
+      const fresh = await listSnapTags().catch(() => tags);
+      if (!panel.isConnected) return;
+      tags = fresh;
+      const dropped = q.tag && !tags.includes(q.tag);
+      if (dropped) q.tag = "";
+      renderTags();
+      if (dropped) reload();
+    }
+  };
+
+  $("#gLabel", body)?.addEventListener("change", (e) => { q.label = e.target.value; reload(); });
+  $("#gFrom", body)?.addEventListener("change", (e) => { q.from = e.target.value; reload(); });
+  $("#gTo", body)?.addEventListener("change", (e) => { q.to = e.target.value; reload(); });
+  $("#gOrder", body)?.addEventListener("change", (e) => { q.order = e.target.value; reload(); });
+  $("#gMin", body)?.addEventListener("input", (e) => {
+    $("#gMinVal", body).textContent = `${Math.round(Number(e.target.value) * 100)}%`;
+  });
+  $("#gMin", body)?.addEventListener("change", (e) => { q.minScore = Number(e.target.value); reload(); });
+}
+
+// Training-data export (see dataset.js): format, class map with label corrections
+async function openDatasetPanel() {
+  const panel = createPanel({
+    title: "Dataset Export",
+    x: 24,
+    y: 160,
+    w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
+    h: Math.min(520, Math.floor(window.innerHeight * 0.62)),
     bodyHTML: `<div class="notice">Loading…</div>`
   });
 
   els.app.appendChild(panel);
   clampPanelIntoView(panel);
 
-  const snaps = await listSnaps(60);
+  // Only snaps captured with the full frame are usable
+  const snaps = (await getAllSnaps().catch(() => [])).filter(s => s.source?.blob);
+  if (!panel.isConnected) return;
   if (!snaps.length) {
-    setPanelBody(panel, `<div class="notice">No snapshots yet. Use pinch-snap on a selected object.</div>`);
+    setPanelBody(panel, `
+      <div class="notice">
+        No full frames yet. Turn on Settings → Capture → “Keep full frame + all boxes (crop editor, dataset export)”,
+        then snap with AI on.
+      </div>
+    `);
     return;
   }
 
-  const thumbs = snaps.map(s => `
-    <div class="thumb" data-id="${s.id}">
-      <img src="${s.dataUrl}" alt="snap"/>
+  const relabel = getRelabelMap();
+  const labels = collectLabels(snaps);
+  const rows = labels.map(({ label, count }) => `
+    <div class="kv"><small>${escapeHtml(label)} · ${count}</small>
+      <input data-from="${escapeHtml(label)}" type="text" style="width:140px;"
+        value="${escapeHtml(relabel[label] ?? label)}" placeholder="(drop)" />
     </div>
   `).join("");
 
   setPanelBody(panel, `
-    <div class="gallery">${thumbs}</div>
-    <div style="margin-top:10px" class="notice">Tap a shot to inspect.</div>
+    <div class="kv"><small>Frames</small><div>${snaps.length}</div></div>
+    <div class="kv"><small>Format</small>
+      <select id="dsFormat">
+        ${Object.entries(DATASET_FORMATS).map(([k, v]) => `<option value="${k}">${v}</option>`).join("")}
+      </select>
+    </div>
+    <div class="kv"><small>Frames without boxes</small><input id="dsEmpty" type="checkbox" /></div>
+    <div class="sheetTitle" style="margin-top:10px;">Labels → classes</div>
+    <div id="dsRows" style="max-height:200px; overflow:auto;">${rows}</div>
+    <div class="notice" id="dsClasses" style="margin-top:8px;"></div>
+    <div class="grid" style="margin-top:10px;">
+      <button class="dockBtn" id="dsExport">Export ZIP</button>
+      <button class="dockBtn" id="dsReset">Reset labels</button>
+    </div>
+    <div class="notice" style="margin-top:10px;">
+      Rename to correct or merge classes; clear a field to drop that label.
+    </div>
   `);
 
   const body = getPanelBody(panel);
-  body.querySelectorAll(".thumb").forEach(el => {
-    el.addEventListener("click", async () => {
-      const id = el.getAttribute("data-id");
-      const all = await listSnaps(60);
-      const snap = all.find(x => x.id === id);
-      if (snap) openInspectPanel(snap);
-    });
+
+  function showClassMap() {
+    const classes = buildClassMap(labels.map(l => l.label), relabel);
+    $("#dsClasses", body).textContent = classes.length
+      ? `Classes: ${classes.map((c, i) => `${i} ${c}`).join(", ")}`
+      : "No classes left — every label is dropped.";
+  }
+  showClassMap();
+
+  $("#dsRows", body)?.addEventListener("change", (e) => {
+    const from = e.target.dataset?.from;
+    if (from === undefined) return;
+    const to = e.target.value.trim();
+    if (to === from) delete relabel[from];
+    else relabel[from] = to;
+    setRelabelMap(relabel);
+    showClassMap();
+  });
+
+  $("#dsReset", body)?.addEventListener("click", () => {
+    for (const k of Object.keys(relabel)) delete relabel[k];
+    setRelabelMap(relabel);
+    body.querySelectorAll("[data-from]").forEach(inp => { inp.value = inp.dataset.from; });
+    showClassMap();
+  });
+
+  $("#dsExport", body)?.addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    const format = $("#dsFormat", body).value;
+    btn.disabled = true;
+    setHudStatus("Building dataset…");
+    try {
+      const out = await exportDataset(snaps, { format, relabel, includeEmpty: $("#dsEmpty", body).checked });
+      downloadBlob(out.blob, `dataset-${format}-${Date.now()}.zip`);
+      setHudStatus(`Dataset: ${out.images} images, ${out.boxes} boxes, ${out.classes.length} classes`);
+    } catch (err) {
+      console.warn("Dataset export failed:", err);
+      setHudStatus("Dataset export failed");
+    } finally {
+      btn.disabled = false;
+    }
   });
 }
 
-function openInspectPanel(snap) {
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// state.galleryQuery -> querySnaps() options (dates are local days, "to" inclusive)
+function galleryQueryOptions(q) {
+  return {
+    label: q.label,
+    tag: q.tag,
+    from: q.from ? new Date(`${q.from}T00:00:00`).getTime() : null,
+    to: q.to ? new Date(`${q.to}T23:59:59.999`).getTime() : null,
+    minScore: q.minScore,
+    order: q.order
+  };
+}
+
+const META_LABELS = {
+  mode: "Capture", bbox: "Box (video px)", trackId: "Track", crop: "Crop (video px)", frame: "Frame",
+  frozen: "Frozen", orientation: "Heading / pitch", camera: "Camera", detector: "Detector",
+  others: "Other detections", region: "Region", burst: "Burst", interval: "Interval", clip: "Clip",
+  sessionId: "Session", appVersion: "App version"
+};
+
+function metaDetailsHTML(snap) {
+  const m = snap.meta || {};
+  const fmt = (k, v) => {
+    if (v === null || v === undefined) return "—";
+    if (k === "bbox" || k === "crop") {
+      const [x, y, w, h] = Array.isArray(v) ? v : [v.x, v.y, v.w, v.h];
+      return `${x}, ${y} · ${w}×${h}`;
+    }
+    if (k === "frame") return `${v.width}×${v.height}`;
+    if (k === "clip") return `${formatDuration(v.durationMs)} · ${v.width}×${v.height} · ${v.mime}`;
+    if (k === "orientation") return `${v.alpha}° / ${v.beta}°`;
+    if (k === "others") {
+      return v.length ? v.map(d => `${d.label} ${Math.round(d.score * 100)}%`).join(", ") : "none";
+    }
+    if (k === "camera") {
+      return Object.entries(v).map(([ck, cv]) => `${ck}: ${typeof cv === "object" ? JSON.stringify(cv) : cv}`).join("<br/>");
+    }
+    return typeof v === "object" ? JSON.stringify(v) : String(v);
+  };
+
+  const rows = [`<div class="kv"><small>Captured</small><div>${new Date(snap.ts).toLocaleString()}</div></div>`];
+  for (const [k, name] of Object.entries(META_LABELS)) {
+    if (!(k in m)) continue;
+    // camera values are plain strings/numbers from getSettings(); escape everything anyway
+    const html = fmt(k, m[k]).split("<br/>").map(escapeHtml).join("<br/>");
+    rows.push(`<div class="kv"><small>${name}</small><div style="text-align:right; word-break:break-word;">${html}</div></div>`);
+  }
+  return rows.join("");
+}
+
+function tagChipHTML(tag, active) {
+  return `<button data-tag="${escapeHtml(tag)}" style="padding:3px 10px; border-radius:999px;
+    border:1px solid rgba(255,255,255,0.25); font-size:12px;
+    background:${active ? "rgba(68,255,175,0.85)" : "rgba(255,255,255,0.08)"};
+    color:${active ? "#000" : "inherit"};">#${escapeHtml(tag)}</button>`;
+}
+
+function inspectFailed(e) {
+  console.warn("Inspect failed:", e);
+  setHudStatus("Couldn't open snap");
+}
+
+// snap: { id, meta, blob? } — the full image is read from IndexedDB only if not passed in.
+// Callers .catch(inspectFailed): the record read can fail after the panel is up.
+async function openInspectPanel(snap) {
   const label = snap.meta?.label ? `${snap.meta.label} (${Math.round((snap.meta.score || 0) * 100)}%)` : "—";
+  const isClip = snap.kind === "clip";
+  const urls = createUrlScope();
 
   const panel = createPanel({
     title: "Inspect",
     x: 12,
     y: 120,
     w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
-    h: Math.min(540, Math.floor(window.innerHeight * 0.60)),
+    h: Math.min(620, Math.floor(window.innerHeight * 0.70)),
+    onClose: () => urls.revokeAll(),
     bodyHTML: `
-      <div class="thumb" style="aspect-ratio: 1/1; margin-bottom:10px;">
-        <img src="${snap.dataUrl}" alt="inspect"/>
+      <div class="thumb" style="aspect-ratio: ${isClip ? "auto" : "1/1"}; margin-bottom:10px;">
+        ${isClip
+          ? `<video id="inspVideo" controls playsinline style="width:100%;"></video>`
+          : `<img id="inspImg" alt="inspect"/>`}
+      </div>
+      <div class="kv"><small>Detected</small><div>${escapeHtml(label)}</div></div>
+      <details style="margin:6px 0;">
+        <summary style="cursor:pointer;"><small>Details</small></summary>
+        ${metaDetailsHTML(snap)}
+      </details>
+      <div class="kv"><small>Title</small>
+        <input id="inspTitle" type="text" maxlength="120" placeholder="Untitled" value="${escapeHtml(snap.title || "")}" />
       </div>
-      <div class="kv"><small>Detected</small><div>${label}</div></div>
+      <div class="kv"><small>Tags</small>
+        <input id="inspTags" type="text" placeholder="comma, separated" value="${escapeHtml((snap.tags || []).join(", "))}" />
+      </div>
+      <textarea id="inspNotes" rows="4" placeholder="Notes…"
+        style="width:100%; margin-top:8px; box-sizing:border-box; resize:vertical;">${escapeHtml(snap.notes || "")}</textarea>
       <div class="grid" style="margin-top:10px;">
-        <a class="dockBtn" href="${snap.dataUrl}" download="snapshot.jpg"
+        <a class="dockBtn" id="dlSnap" download="${escapeHtml(snapFileName(snap))}"
           style="text-decoration:none; display:flex; align-items:center; justify-content:center;">
           Download
         </a>
         <button class="dockBtn" id="delSnap">Delete</button>
+        <button class="dockBtn" id="pinSnap">${snap.pinned ? "Unpin" : "Pin"}</button>
+        <button class="dockBtn" id="inspVariant" style="display:none;">Show raw</button>
+        ${!isClip && snap.source ? `<button class="dockBtn" id="inspEdit">Edit crop</button>` : ""}
       </div>
       <div class="notice" style="margin-top:10px;">
-        This crop is object-accurate using the detection box.
+        ${isClip ? "Recorded with the HUD overlay." : "This crop is object-accurate using the detection box."}
       </div>
     `
   });
@@ -729,10 +2557,260 @@ function openInspectPanel(snap) {
 
   const body = getPanelBody(panel);
   $("#delSnap", body)?.addEventListener("click", async () => {
-    await deleteSnap(snap.id);
-    panel.remove();
+    try {
+      await deleteSnap(snap.id);
+    } catch (e) {
+      console.warn("deleteSnap failed:", e);
+      setHudStatus("Delete failed");
+      return;
+    }
+    closePanel(panel);
+    state.gallery?.removeSnap(snap.id);
+    if (snap.tags?.length) state.gallery?.refreshTags();
     setHudStatus("Deleted");
   });
+
+  // Annotations save as soon as a field is committed (blur / enter)
+  async function saveField(patch) {
+    try {
+      const updated = await updateSnap(snap.id, patch);
+      if (!updated) return setHudStatus("Snap no longer exists");
+      // Keep the caller's copy (e.g. the gallery's row) current
+      Object.assign(snap, { title: updated.title, notes: updated.notes, tags: updated.tags, pinned: updated.pinned });
+      if ("tags" in patch) state.gallery?.refreshTags();
+      setHudStatus("Saved");
+    } catch (e) {
+      console.warn("updateSnap failed:", e);
+      setHudStatus("Save failed");
+    }
+  }
+  $("#inspTitle", body)?.addEventListener("change", (e) => saveField({ title: e.target.value }));
+  // Pinned snaps are exempt from retention pruning
+  $("#pinSnap", body)?.addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    await saveField({ pinned: !snap.pinned });
+    btn.textContent = snap.pinned ? "Unpin" : "Pin";
+  });
+  $("#inspNotes", body)?.addEventListener("change", (e) => saveField({ notes: e.target.value }));
+  $("#inspTags", body)?.addEventListener("change", (e) => {
+    e.target.value = normalizeTags(e.target.value).join(", ");
+    saveField({ tags: e.target.value });
+  });
+
+  // Annotated snaps open on the annotated variant; the raw crop is one tap away.
+  // useRecord() runs again after a crop edit / revert.
+  let rec = null;
+  let variants = { raw: null, annotated: null };
+  let showing = "raw";
+
+  function show() {
+    const url = variants[showing];
+    $(isClip ? "#inspVideo" : "#inspImg", body).src = url;
+    $("#dlSnap", body).href = url;
+    $("#inspVariant", body).textContent = showing === "raw" ? "Show annotated" : "Show raw";
+  }
+
+  function useRecord(r) {
+    rec = r;
+    variants = { raw: urls.url(r.blob), annotated: r.annotated ? urls.url(r.annotated) : null };
+    showing = variants.annotated ? "annotated" : "raw";
+    $("#inspVariant", body).style.display = variants.annotated ? "" : "none";
+    show();
+  }
+
+  $("#inspVariant", body).addEventListener("click", () => {
+    if (!variants.annotated) return;
+    showing = showing === "raw" ? "annotated" : "raw";
+    show();
+  });
+
+  $("#inspEdit", body)?.addEventListener("click", () => {
+    openCropEditorPanel(snap, (updated) => {
+      if (updated && panel.isConnected) useRecord(updated);
+    }).catch((e) => {
+      console.warn("Crop editor failed:", e);
+      setHudStatus("Crop editor failed");
+    });
+  });
+
+  // Name follows the (editable) title, so resolve it on click
+  $("#dlSnap", body).addEventListener("click", (e) => {
+    if (!rec) return;
+    const name = snapFileName({ ...snap, blob: rec.blob });
+    e.currentTarget.download = showing === "annotated" ? name.replace(/(\.\w+)$/, "-annotated$1") : name;
+  });
+
+  // The thumb (a clip's poster) shows first; swap in the original once it's read.
+  // It gets its own URL: the gallery revokes its thumb URLs when it closes.
+  if (!snap.blob || isClip) {
+    getThumb(snap.id).then((thumb) => {
+      if (!thumb || !panel.isConnected) return;
+      if (isClip) $("#inspVideo", body).poster = urls.url(thumb);
+      else if (!rec) $("#inspImg", body).src = urls.url(thumb);
+    }).catch(() => {});
+  }
+  const first = snap.blob ? snap : await getSnap(snap.id);
+  if (!first?.blob || !panel.isConnected) return;
+  useRecord(first);
+}
+
+// Non-destructive crop editor over the snap's stored full frame (capture.keepFrame).
+// Apply re-renders the crop (and the annotated variant, when the snap has one);
+// the capture-time images stay in the record until "Restore original".
+async function openCropEditorPanel(snap, onSaved = () => {}) {
+  const rec = await getSnap(snap.id);
+  if (!rec) return setHudStatus("Snap no longer exists");
+  if (!rec.source?.blob) {
+    return setHudStatus("No full frame stored for this snap");
+  }
+  if (state.cropEditor) closePanel(state.cropEditor.panel);
+
+  const frame = await createImageBitmap(rec.source.blob);
+  const captured = rec.meta?.crop || { x: 0, y: 0, w: frame.width, h: frame.height };
+  const capturedState = { crop: captured, rotation: 0, aspect: "free" };
+  const deg = (rad) => Math.round(rad * 180 / Math.PI);
+
+  let resizeObs = null;
+  const panel = createPanel({
+    title: "Edit crop",
+    x: 12,
+    y: 90,
+    w: Math.min(360, Math.floor(window.innerWidth * 0.92)),
+    h: Math.min(620, Math.floor(window.innerHeight * 0.72)),
+    onClose: () => {
+      resizeObs?.disconnect();
+      if (state.cropEditor?.panel === panel) state.cropEditor = null;
+      frame.close?.();
+    },
+    bodyHTML: `
+      <div data-crop-editor style="margin-bottom:10px;">
+        <canvas id="ceCanvas" style="width:100%; display:block; touch-action:none; border-radius:10px;"></canvas>
+      </div>
+      <div class="kv"><small>Aspect</small>
+        <select id="ceAspect">
+          ${Object.entries(ASPECTS).map(([k, a]) => `<option value="${k}">${escapeHtml(a.label)}</option>`).join("")}
+        </select>
+      </div>
+      <div class="kv"><small>Rotation</small>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <input id="ceRot" type="range" min="-180" max="180" step="1" style="flex:1;" />
+          <span id="ceRotVal" style="min-width:40px; text-align:right;">0°</span>
+        </div>
+      </div>
+      <div class="grid" style="margin-top:10px;">
+        <button class="dockBtn" id="ceRotL">⟲ 90°</button>
+        <button class="dockBtn" id="ceRotR">⟳ 90°</button>
+        <button class="dockBtn" id="ceReset">Reset</button>
+        <button class="dockBtn" id="ceApply">Apply</button>
+        <button class="dockBtn" id="ceRevert" ${rec.original ? "" : "disabled"}>Restore original</button>
+      </div>
+      <div class="notice" style="margin-top:10px;">
+        Drag inside to move, drag a corner to resize. Two fingers (or a two-hand pinch) scale and rotate.
+        The captured image is kept until you restore it.
+      </div>
+    `
+  });
+
+  els.app.appendChild(panel);
+  clampPanelIntoView(panel);
+
+  const body = getPanelBody(panel);
+  const rot = $("#ceRot", body);
+  const rotVal = $("#ceRotVal", body);
+  function showState(s) {
+    // -180..180 for the slider
+    const d = ((deg(s.rotation) + 540) % 360) - 180;
+    rot.value = String(d);
+    rotVal.textContent = `${d}°`;
+  }
+
+  const editor = createCropEditor($("#ceCanvas", body), frame, rec.edit || capturedState, {
+    originalRatio: captured.w / captured.h,
+    onChange: showState
+  });
+  state.cropEditor = { ...editor, panel };
+  $("#ceAspect", body).value = editor.getState().aspect;
+  showState(editor.getState());
+
+  // Panel resizes (pinch-drag corner / two-hand scale) change the canvas' CSS width
+  resizeObs = new ResizeObserver(() => editor.resize());
+  resizeObs.observe(editor.canvas);
+
+  rot.addEventListener("input", () => editor.setRotation(Number(rot.value) * Math.PI / 180));
+  $("#ceAspect", body).addEventListener("change", (e) => editor.setAspect(e.target.value));
+  $("#ceRotL", body).addEventListener("click", () => editor.rotateBy(-Math.PI / 2));
+  $("#ceRotR", body).addEventListener("click", () => editor.rotateBy(Math.PI / 2));
+  $("#ceReset", body).addEventListener("click", () => {
+    editor.reset(capturedState);
+    $("#ceAspect", body).value = "free";
+  });
+
+  $("#ceApply", body).addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+      const edit = editor.getState();
+      const quality = getSetting("capture.jpegQuality");
+      const crop = renderCrop(frame, edit, getSetting("capture.cropSize"));
+
+      // Boxes are axis-aligned in frame space, so the report variant is only
+      // re-rendered for unrotated crops; a rotated edit keeps the raw image only.
+      const hadAnnotated = !!(rec.annotated || rec.original?.annotated);
+      const upright = Math.abs(Math.sin(edit.rotation)) < 1e-3 && Math.cos(edit.rotation) > 0;
+      let annotated = null;
+      if (hadAnnotated && upright) {
+        const boxes = rec.source.boxes || [];
+        const selected = boxes.findIndex(b => b.selected);
+        annotated = await canvasToBlob(renderAnnotated(crop, {
+          cropRect: edit.crop,
+          detections: boxes.map((b, i) => ({ class: b.label, score: b.score, bbox: b.bbox, id: i })),
+          selectedId: selected >= 0 ? selected : null,
+          caption: {
+            label: rec.meta?.label,
+            score: rec.meta?.score,
+            ts: rec.ts,
+            heading: rec.meta?.orientation?.alpha ?? null
+          }
+        }), "image/jpeg", quality);
+      }
+
+      const updated = await saveSnapEdit(rec.id, {
+        blob: await canvasToBlob(crop, "image/jpeg", quality),
+        annotated,
+        edit
+      });
+      if (!updated) return setHudStatus("Snap no longer exists");
+      Object.assign(rec, updated);
+      $("#ceRevert", body).disabled = false;
+      onSaved(updated);
+      setHudStatus(hadAnnotated && !upright ? "Crop saved (annotated variant needs an upright crop)" : "Crop saved");
+    } catch (err) {
+      console.warn("saveSnapEdit failed:", err);
+      setHudStatus(isQuotaError(err) ? "Storage full — crop not saved" : "Crop save failed");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  $("#ceRevert", body).addEventListener("click", async (e) => {
+    const btn = e.currentTarget;
+    let updated;
+    try {
+      updated = await revertSnapEdit(rec.id);
+    } catch (err) {
+      console.warn("revertSnapEdit failed:", err);
+      return setHudStatus("Restore failed");
+    }
+    if (!updated) return setHudStatus("Snap no longer exists");
+    Object.assign(rec, updated);
+    delete rec.original;
+    delete rec.edit;
+    btn.disabled = true;
+    editor.reset(capturedState);
+    $("#ceAspect", body).value = "free";
+    onSaved(updated);
+    setHudStatus("Original restored");
+  });
 }
 
 /* ---------- Panel pinch drag/resize ---------- */
@@ -764,7 +2842,7 @@ function updatePanelGrab(cssX, cssY) {
     const top = clamp(cssY - state.grabOffset.y, 8, window.innerHeight - h - 90);
     p.style.left = `${left}px`;
     p.style.top = `${top}px`;
-  } else {
+  } else if (state.grabMode === "resize") {
     const dx = cssX - state.resizeStart.x;
     const dy = cssY - state.resizeStart.y;
     const newW = clamp(state.resizeStart.w + dx, 220, Math.min(0.96 * window.innerWidth, 520));
@@ -773,17 +2851,25 @@ function updatePanelGrab(cssX, cssY) {
     p.style.height = `${newH}px`;
   }
 }
+function scalePanelGrab(scale) {
+  const p = state.grabbedPanel;
+  if (!p) return;
+  const newW = clamp(state.resizeStart.w * scale, 220, Math.min(0.96 * window.innerWidth, 520));
+  const newH = clamp(state.resizeStart.h * scale, 200, Math.min(0.62 * window.innerHeight, 650));
+  p.style.width = `${newW}px`;
+  p.style.height = `${newH}px`;
+}
 function endPanelGrab() {
   state.grabbedPanel = null;
   state.grabMode = null;
 }
 
 /* ---------- utilities ---------- */
+
 function clearOverlay() {
   const ctx = els.overlay.getContext("2d");
   ctx.clearRect(0, 0, els.overlay.width, els.overlay.height);
 }
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
 let _z = 30;
@@ -0,0 +1,159 @@
+// Gallery export / import as a single portable ZIP
+//   manifest.json   { format, version, exportedAt, snaps: [{ id, ts, kind, file, type, annotatedFile, annotatedType, posterFile, meta, title, notes, tags, pinned, source, edit, original }] }
+//   images/<id>.jpg the full-size originals
+//   annotated/<id>.jpg report variants with boxes + caption baked in (annotatedFile)
+//   frames/<id>.jpg full frames, for snaps captured with "keep full frame" (source.file)
+//   posters/<id>.jpg gallery posters of clips (posterFile)
+//   originals/<id>[-annotated].jpg capture-time images of crop-edited snaps (original.file / .annotatedFile,
+//                   types in original.type / .annotatedType)
+// Import merges into spatial_hud_db; ids that already exist are skipped.
+
+import { createZip, readZip } from "./zip.js";
+import { getAllSnaps, getThumb, importSnaps } from "./storage.js";
+
+const FORMAT = "pvh-snaps";
+// 2: kind (clips), annotatedFile / annotatedType, posterFile, edit / original, pinned. v1 archives still import.
+const FORMAT_VERSION = 2;
+
+const EXT = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "video/webm": "webm", "video/mp4": "mp4" };
+
+export async function exportArchive() {
+  const snaps = await getAllSnaps();
+  const entries = [];
+  const manifest = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    snaps: []
+  };
+
+  for (const s of snaps) {
+    const type = s.blob?.type || "image/jpeg";
+    const file = `images/${s.id}.${EXT[type] || "bin"}`;
+    if (s.blob) entries.push({ name: file, data: s.blob, date: new Date(s.ts) });
+
+    let annotatedFile = null;
+    const annotatedType = s.annotated?.type || null;
+    if (s.annotated) {
+      annotatedFile = `annotated/${s.id}.${EXT[annotatedType] || "bin"}`;
+      entries.push({ name: annotatedFile, data: s.annotated, date: new Date(s.ts) });
+    }
+
+    // Clips can't be thumbnailed on import, so their poster travels with them
+    let posterFile = null;
+    const poster = s.kind === "clip" ? await getThumb(s.id) : null;
+    if (poster) {
+      posterFile = `posters/${s.id}.jpg`;
+      entries.push({ name: posterFile, data: poster, date: new Date(s.ts) });
+    }
+
+    let source = null;
+    if (s.source?.blob) {
+      const frameFile = `frames/${s.id}.${EXT[s.source.blob.type] || "bin"}`;
+      entries.push({ name: frameFile, data: s.source.blob, date: new Date(s.ts) });
+      const { blob, ...rest } = s.source;
+      source = { ...rest, file: frameFile, type: blob.type };
+    }
+
+    let original = null;
+    if (s.original?.blob) {
+      original = {
+        file: `originals/${s.id}.${EXT[s.original.blob.type] || "bin"}`, type: s.original.blob.type,
+        annotatedFile: null, annotatedType: null
+      };
+      entries.push({ name: original.file, data: s.original.blob, date: new Date(s.ts) });
+      if (s.original.annotated) {
+        original.annotatedType = s.original.annotated.type;
+        original.annotatedFile = `originals/${s.id}-annotated.${EXT[original.annotatedType] || "bin"}`;
+        entries.push({ name: original.annotatedFile, data: s.original.annotated, date: new Date(s.ts) });
+      }
+    }
+
+    manifest.snaps.push({
+      id: s.id, ts: s.ts, kind: s.kind || "image", file: s.blob ? file : null, type, annotatedFile, annotatedType, posterFile,
+      meta: s.meta ?? null, title: s.title || "", notes: s.notes || "", tags: s.tags || [], pinned: !!s.pinned, source,
+      edit: s.edit ?? null, original
+    });
+  }
+
+  entries.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+  return { blob: await createZip(entries), count: snaps.length };
+}
+
+// file: a ZIP produced by exportArchive() -> { added, skipped }
+export async function importArchive(file) {
+  const files = new Map((await readZip(file)).map(e => [e.name, e]));
+
+  const manifestEntry = files.get("manifest.json");
+  if (!manifestEntry) throw new Error("No manifest.json in archive");
+  const manifest = JSON.parse(new TextDecoder().decode(await manifestEntry.read()));
+  if (manifest?.format !== FORMAT || !Array.isArray(manifest.snaps)) {
+    throw new Error("Not a snapshot archive");
+  }
+  if (manifest.version > FORMAT_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this app`);
+  }
+
+  const records = [];
+  for (const s of manifest.snaps) {
+    const entry = s?.file && files.get(s.file);
+    if (typeof s?.id !== "string" || !entry) continue;   // no image, nothing to restore
+
+    let source = null;
+    const frameEntry = s.source?.file && files.get(s.source.file);
+    if (frameEntry) {
+      const { file: _file, type, ...rest } = s.source;
+      source = { ...rest, blob: new Blob([await frameEntry.read()], { type: type || "image/jpeg" }) };
+    }
+
+    const annotatedEntry = s.annotatedFile && files.get(s.annotatedFile);
+    const annotated = annotatedEntry
+      ? new Blob([await annotatedEntry.read()], { type: s.annotatedType || "image/jpeg" })
+      : null;
+
+    // Crop edits stay revertible only if the capture-time image came along
+    const originalEntry = s.original?.file && files.get(s.original.file);
+    const originalAnnotatedEntry = s.original?.annotatedFile && files.get(s.original.annotatedFile);
+    const edited = originalEntry ? {
+      edit: s.edit ?? null,
+      original: {
+        blob: new Blob([await originalEntry.read()], { type: s.original.type || "image/jpeg" }),
+        annotated: originalAnnotatedEntry
+          ? new Blob([await originalAnnotatedEntry.read()], { type: s.original.annotatedType || "image/jpeg" })
+          : null
+      }
+    } : {};
+
+    const posterEntry = s.posterFile && files.get(s.posterFile);
+    const thumb = posterEntry ? new Blob([await posterEntry.read()], { type: "image/jpeg" }) : null;
+
+    records.push({
+      id: s.id,
+      ts: Number(s.ts) || Date.now(),
+      kind: s.kind === "clip" ? "clip" : "image",
+      blob: new Blob([await entry.read()], { type: s.type || "image/jpeg" }),
+      meta: s.meta ?? null,
+      title: s.title || "",
+      notes: s.notes || "",
+      tags: s.tags || [],
+      pinned: !!s.pinned,
+      annotated,
+      source,
+      thumb,
+      ...edited
+    });
+  }
+
+  const { added, skipped } = await importSnaps(records);
+  return { added, skipped: skipped + (manifest.snaps.length - records.length) };
+}
+
+// Human-friendly download name: "<title or label>-YYYYMMDD-HHMMSS.jpg" (.webm/.mp4 for clips)
+export function snapFileName(snap) {
+  const base = String(snap.title || snap.meta?.label || (snap.kind === "clip" ? "clip" : "snapshot"))
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "snapshot";
+  const d = new Date(snap.ts || Date.now());
+  const p2 = (n) => String(n).padStart(2, "0");
+  const stamp = `${d.getFullYear()}${p2(d.getMonth() + 1)}${p2(d.getDate())}-${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())}`;
+  return `${base}-${stamp}.${EXT[snap.blob?.type] || EXT[snap.meta?.clip?.mime?.split(";")[0]] || "jpg"}`;
+}
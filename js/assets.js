@@ -0,0 +1,101 @@
+// Runtime + model asset manifest (see ../assets.json)
+// - Defaults to same-origin copies under ./vendor/ so AI + gestures work offline
+// - A mirror can be set at runtime with setAssetBase() (persisted in localStorage)
+// - Keys with a `fallback` URL go to the public CDN when the default copy is missing
+//   (a fresh deploy with an empty vendor/)
+// - The service worker precaches the same list
+
+const MANIFEST_URL = new URL("../assets.json", import.meta.url).href;
+const BASE_KEY = "pvh_asset_base";
+
+let manifestPromise = null;
+let memoryBase = null;   // workers have no localStorage: the page hands them its base
+const present = new Map();   // url -> Promise<boolean>
+
+export function loadAssetManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_URL)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Asset manifest failed: ${res.status}`);
+        return res.json();
+      })
+      .catch((e) => {
+        manifestPromise = null; // allow a retry once back online
+        throw e;
+      });
+  }
+  return manifestPromise;
+}
+
+export function getAssetBaseOverride() {
+  if (memoryBase !== null) return memoryBase;
+  try { return localStorage.getItem(BASE_KEY) || ""; } catch { return ""; }
+}
+
+// Non-persisted override (used inside the vision worker)
+export function useAssetBase(base) {
+  memoryBase = base ? String(base) : "";
+}
+
+export async function getAssetBase() {
+  const manifest = await loadAssetManifest();
+  const base = getAssetBaseOverride() || manifest.base || "./";
+  return withSlash(new URL(base, MANIFEST_URL).href);
+}
+
+// Resolve a manifest key ("tfjs", "gestureModel", …) to an absolute URL
+export async function assetUrl(key) {
+  const manifest = await loadAssetManifest();
+  const path = manifest.assets?.[key];
+  if (!path) throw new Error(`Unknown asset: ${key}`);
+  const base = await getAssetBase();
+  const url = new URL(path, base).href;
+
+  // A configured mirror is taken as complete; only the default vendor/ falls back
+  const fallback = manifest.fallback?.[key];
+  if (!fallback || getAssetBaseOverride()) return url;
+  const probe = new URL(manifest.probe?.[key] || path, base).href;
+  return (await isPresent(probe)) ? url : fallback;
+}
+
+// HEAD only: the real load follows. Directories (the wasm folder) are probed through
+// a file inside them (`probe` in the manifest).
+function isPresent(url) {
+  if (!present.has(url)) {
+    present.set(url, fetch(url, { method: "HEAD", cache: "no-store" })
+      .then((res) => res.ok)
+      .catch(() => {
+        present.delete(url);  // offline: ask again next time
+        return false;
+      }));
+  }
+  return present.get(url);
+}
+
+export async function listPrecacheUrls() {
+  const manifest = await loadAssetManifest();
+  const base = await getAssetBase();
+  return (manifest.precache || []).map((p) => new URL(p, base).href);
+}
+
+// Point at a mirror (absolute URL or path). Empty string = back to the manifest default.
+export async function setAssetBase(base) {
+  const clean = String(base || "").trim();
+  try {
+    if (clean) localStorage.setItem(BASE_KEY, withSlash(clean));
+    else localStorage.removeItem(BASE_KEY);
+  } catch {}
+
+  syncAssetCache().catch(() => {});
+  return getAssetBase();
+}
+
+// Ask the SW to pull the current (possibly mirrored) copies so airplane mode keeps working
+export async function syncAssetCache() {
+  const reg = await navigator.serviceWorker?.ready;
+  if (!reg?.active) return;
+  const urls = await listPrecacheUrls();
+  reg.active.postMessage({ type: "precache-assets", urls });
+}
+
+function withSlash(s) { return s.endsWith("/") ? s : `${s}/`; }
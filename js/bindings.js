@@ -0,0 +1,115 @@
+// Gesture -> action bindings
+// - A binding fires `action` once the recognizer has reported `gesture` for `holdMs`
+// - At most once per continuous hold, and not again within `debounceMs`
+// - Several bindings per gesture are fine (e.g. Thumb_Up tap vs. long hold)
+// - Table persisted in localStorage; pinch stays contextual (wheel / grab / snap) in app.js
+
+const BINDINGS_KEY = "pvh_gesture_bindings";
+const BINDINGS_VERSION = 1;
+
+// Categories reported by the MediaPipe gesture recognizer
+export const GESTURES = [
+  "Open_Palm", "Closed_Fist", "Pointing_Up", "Victory", "Thumb_Up", "Thumb_Down", "ILoveYou"
+];
+
+// Keys match app.js runTool() (plus "wheel", which needs the cursor position)
+export const ACTIONS = {
+  none: "—",
+  wheel: "Tool wheel",
+  snap: "Snap (selected or center)",
+  snapSelected: "Snap selected only",
+  freeze: "Freeze / unfreeze",
+  clear: "Clear selection",
+  gallery: "Gallery",
+  ai: "Toggle AI",
+  dashboard: "Dashboard",
+  burst: "Burst (keep sharpest)",
+  interval: "Interval start / stop",
+  record: "Record start / stop"
+};
+
+const DEFAULT_BINDINGS = [
+  { gesture: "Open_Palm", holdMs: 0, action: "wheel", debounceMs: 450 },
+  { gesture: "Pointing_Up", holdMs: 0, action: "snapSelected", debounceMs: 900 },
+  { gesture: "Closed_Fist", holdMs: 800, action: "freeze", debounceMs: 1500 },
+  { gesture: "Victory", holdMs: 600, action: "snap", debounceMs: 1500 },
+  { gesture: "Thumb_Up", holdMs: 1000, action: "gallery", debounceMs: 2000 },
+  { gesture: "Thumb_Down", holdMs: 1000, action: "clear", debounceMs: 1000 },
+  { gesture: "ILoveYou", holdMs: 1200, action: "ai", debounceMs: 3000 }
+];
+
+let bindings = load();
+
+export function getBindings() {
+  return bindings.map(b => ({ ...b }));
+}
+
+export function setBindings(list) {
+  bindings = (Array.isArray(list) ? list : []).map(normalize).filter(Boolean);
+  try {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify({ version: BINDINGS_VERSION, bindings }));
+  } catch {}
+  return getBindings();
+}
+
+export function resetBindings() {
+  try { localStorage.removeItem(BINDINGS_KEY); } catch {}
+  bindings = DEFAULT_BINDINGS.map(b => ({ ...b }));
+  return getBindings();
+}
+
+// feed(gestureName, now) on every cursor update; onAction(action, binding) when one fires
+export function createGestureBinder(onAction) {
+  let current = null;
+  let since = 0;
+  const firedThisHold = new Set();   // binding index
+  const lastFired = new Map();       // binding index -> ts
+
+  function feed(gesture, now = performance.now()) {
+    if (gesture !== current) {
+      current = gesture;
+      since = now;
+      firedThisHold.clear();
+    }
+    if (!current) return;
+
+    const held = now - since;
+    bindings.forEach((b, i) => {
+      if (b.gesture !== current || b.action === "none") return;
+      if (held < b.holdMs || firedThisHold.has(i)) return;
+      if (now - (lastFired.get(i) ?? -Infinity) < b.debounceMs) return;
+
+      firedThisHold.add(i);
+      lastFired.set(i, now);
+      onAction(b.action, b);
+    });
+  }
+
+  return {
+    feed,
+    reset() { current = null; firedThisHold.clear(); }
+  };
+}
+
+function normalize(b) {
+  if (!b || !GESTURES.includes(b.gesture)) return null;
+  const num = (v, d, max) => {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : d;
+  };
+  return {
+    gesture: b.gesture,
+    holdMs: num(b.holdMs, 0, 10000),
+    action: b.action in ACTIONS ? b.action : "none",
+    debounceMs: num(b.debounceMs, 500, 60000)
+  };
+}
+
+function load() {
+  let stored = null;
+  try { stored = JSON.parse(localStorage.getItem(BINDINGS_KEY) || "null"); } catch {}
+  if (stored?.version !== BINDINGS_VERSION || !Array.isArray(stored.bindings)) {
+    return DEFAULT_BINDINGS.map(b => ({ ...b }));
+  }
+  return stored.bindings.map(normalize).filter(Boolean);
+}
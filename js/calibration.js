@@ -0,0 +1,156 @@
+// Guided gesture calibration / tutorial (renders into the #sheet card)
+// Steps: open palm -> point -> pinch. Each step is confirmed live from the
+// `cursor` events of gestures.js and must be held for a moment.
+// Result: pinch threshold (× palm width) between the user's open and pinched
+// hand, plus the hand they used. Written to the settings store.
+
+import { setSetting } from "./settings.js";
+
+const STEPS = [
+  {
+    id: "palm",
+    title: "Open palm",
+    text: "Hold your hand up to the camera, fingers spread. This opens the tool wheel.",
+    holdMs: 1000,
+    match: (g) => g.gesture === "Open_Palm"
+  },
+  {
+    id: "point",
+    title: "Point",
+    text: "Point your index finger up. Moving it selects the nearest AI box.",
+    holdMs: 800,
+    // The classifier's label: `pointing` also takes its heuristic, which a raised palm passes
+    match: (g) => g.gesture === "Pointing_Up"
+  },
+  {
+    id: "pinch",
+    title: "Pinch",
+    text: "Touch your thumb and index finger together. Pinch snaps or grabs.",
+    holdMs: 800,
+    // Relative to the user's own open hand from step 1
+    match: (g, ctx) => g.pinchRatio < ctx.openRatio * 0.5
+  }
+];
+
+const PINCH_BLEND = 0.3;   // threshold sits 30% of the way from pinched to open
+
+export function createCalibration(rootEl, { onDone = () => {}, onCancel = () => {} } = {}) {
+  let stepIndex = 0;
+  let holdStart = 0;
+  let finished = false;
+  let advancing = false;   // "✓ Got it" is showing; the next step isn't rendered yet
+
+  const samples = { palm: [], pinch: [] };
+  const hands = { Left: 0, Right: 0 };
+  const ctx = { openRatio: Infinity };
+
+  render();
+
+  function feed(g) {
+    if (finished || advancing || g.type !== "cursor" || typeof g.pinchRatio !== "number") return;
+
+    const step = STEPS[stepIndex];
+    const now = performance.now();
+    const ok = step.match(g, ctx);
+
+    if (g.handedness in hands) hands[g.handedness] += 1;
+
+    if (!ok) {
+      holdStart = 0;
+      setProgress(0, "Waiting…");
+      return;
+    }
+
+    if (step.id === "palm") samples.palm.push(g.pinchRatio);
+    if (step.id === "pinch") samples.pinch.push(g.pinchRatio);
+
+    if (!holdStart) holdStart = now;
+    const p = Math.min(1, (now - holdStart) / step.holdMs);
+    setProgress(p, p < 1 ? "Hold it…" : "✓ Got it");
+
+    if (p >= 1) {
+      if (step.id === "palm") ctx.openRatio = median(samples.palm);
+      holdStart = 0;
+      stepIndex += 1;
+      if (stepIndex >= STEPS.length) {
+        finish();
+      } else {
+        advancing = true;
+        setTimeout(() => {
+          advancing = false;
+          if (!finished) render();
+        }, 400);
+      }
+    }
+  }
+
+  function finish() {
+    finished = true;
+
+    const open = ctx.openRatio;
+    const pinched = median(samples.pinch);
+    const threshold = setSetting("gestures.pinchRatio", pinched + (open - pinched) * PINCH_BLEND);
+    const handedness = hands.Left === hands.Right ? "auto" : hands.Left > hands.Right ? "Left" : "Right";
+    setSetting("gestures.handedness", handedness);
+    setSetting("gestures.calibrated", true);
+
+    rootEl.innerHTML = `
+      <div class="sheetTitle">Calibrated ✓</div>
+      <div class="sheetText">
+        Pinch threshold: ${threshold.toFixed(2)} × palm width
+        (open ${open.toFixed(2)}, pinched ${pinched.toFixed(2)}).<br />
+        Hand: ${handedness === "auto" ? "either" : handedness}.
+      </div>
+      <div class="sheetActions">
+        <button class="primary" data-act="done">Done</button>
+      </div>
+    `;
+    rootEl.querySelector('[data-act="done"]').addEventListener("click", () => onDone({ threshold, handedness }));
+  }
+
+  function render() {
+    const step = STEPS[stepIndex];
+    const dots = STEPS.map((s, i) => (i < stepIndex ? "●" : i === stepIndex ? "◉" : "○")).join(" ");
+
+    rootEl.innerHTML = `
+      <div class="sheetTitle">Gesture setup ${dots}</div>
+      <div class="sheetText">
+        <b>${step.title}</b><br />${step.text}
+        <div style="margin-top:12px; height:6px; border-radius:3px; background:rgba(255,255,255,0.12); overflow:hidden;">
+          <div data-role="bar" style="height:100%; width:0%; background:rgba(68,255,175,0.85);"></div>
+        </div>
+        <div data-role="hint" style="margin-top:6px; color:rgba(255,255,255,0.7);">Waiting…</div>
+      </div>
+      <div class="sheetActions">
+        <button class="ghost" data-act="cancel">Skip</button>
+      </div>
+    `;
+    rootEl.querySelector('[data-act="cancel"]').addEventListener("click", cancel);
+  }
+
+  function setProgress(p, hint) {
+    const bar = rootEl.querySelector('[data-role="bar"]');
+    const h = rootEl.querySelector('[data-role="hint"]');
+    if (bar) bar.style.width = `${Math.round(p * 100)}%`;
+    if (h) h.textContent = hint;
+  }
+
+  function cancel() {
+    if (finished) return;
+    finished = true;
+    onCancel();
+  }
+
+  return {
+    feed,
+    cancel,
+    get active() { return !finished; }
+  };
+}
+
+function median(arr) {
+  if (!arr.length) return 0;
+  const a = [...arr].sort((x, y) => x - y);
+  const m = a.length >> 1;
+  return a.length % 2 ? a[m] : (a[m - 1] + a[m]) / 2;
+}
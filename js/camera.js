@@ -1,32 +1,154 @@
-export async function startCamera(videoEl) {
+// Camera access + per-device controls
+// - startCamera(videoEl, prefs): device / facing, resolution and frame-rate presets
+// - listCameras(): video inputs from enumerateDevices (labels appear after permission)
+// - getCameraControls(track): the CONTROLS the track's capabilities report, with ranges
+// - applyCameraControl(): applyConstraints + remembered per device, reapplied on start
+// Retries, error messages, pause on hide and reconnects live in lifecycle.js.
+
+const CONTROLS_KEY = "pvh_camera_controls";   // { [deviceId]: { zoom, torch, ... } }
+
+export const RESOLUTIONS = {
+  "480p": { label: "640×480", width: 640, height: 480 },
+  "720p": { label: "1280×720", width: 1280, height: 720 },
+  "1080p": { label: "1920×1080", width: 1920, height: 1080 },
+  "4k": { label: "3840×2160", width: 3840, height: 2160 }
+};
+
+// type: "range" (min/max/step), "mode" (list of strings) or "toggle"
+export const CONTROLS = [
+  { key: "zoom", label: "Zoom", type: "range" },
+  { key: "torch", label: "Torch", type: "toggle" },
+  { key: "focusMode", label: "Focus", type: "mode" },
+  { key: "focusDistance", label: "Focus distance", type: "range" },
+  { key: "exposureCompensation", label: "Exposure", type: "range" },
+  { key: "whiteBalanceMode", label: "White balance", type: "mode" },
+  { key: "colorTemperature", label: "Color temp (K)", type: "range" }
+];
+
+// prefs: { deviceId, facing: "environment" | "user", resolution: RESOLUTIONS key, frameRate (0 = any) }
+// facing / resolution null = leave it to the browser (lifecycle.js' last-resort retry)
+export async function startCamera(videoEl, { deviceId = "", facing = "environment", resolution = "1080p", frameRate = 0 } = {}) {
   if (!navigator.mediaDevices?.getUserMedia) {
     throw new Error("getUserMedia not supported in this browser.");
   }
 
+  const size = resolution ? RESOLUTIONS[resolution] || RESOLUTIONS["1080p"] : null;
   const constraints = {
     audio: false,
     video: {
-      facingMode: { ideal: "environment" },
-      width: { ideal: 1920 },
-      height: { ideal: 1080 }
+      ...(deviceId ? { deviceId: { exact: deviceId } } : facing ? { facingMode: { ideal: facing } } : {}),
+      ...(size ? { width: { ideal: size.width }, height: { ideal: size.height } } : {}),
+      ...(frameRate ? { frameRate: { ideal: frameRate } } : {})
     }
   };
 
   const stream = await navigator.mediaDevices.getUserMedia(constraints);
   videoEl.srcObject = stream;
 
-  await new Promise((res) => {
-    if (videoEl.readyState >= 2) return res();
-    videoEl.onloadedmetadata = () => res();
-  });
+  // The camera is ours from here: a failure must release it, or the caller's next
+  // (fallback) attempt opens a second stream while this one keeps the device busy
+  try {
+    await new Promise((res) => {
+      if (videoEl.readyState >= 2) return res();
+      videoEl.onloadedmetadata = () => res();
+    });
+
+    await videoEl.play();
+
+    const track = stream.getVideoTracks?.()[0] || null;
+    const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
+    if (track) await applySavedControls(track, capabilities);
+    const settings = track?.getSettings ? track.getSettings() : {};
+
+    return { stream, track, capabilities, settings };
+  } catch (e) {
+    stream.getTracks().forEach(t => t.stop());
+    if (videoEl.srcObject === stream) videoEl.srcObject = null;
+    throw e;
+  }
+}
+
+// -> [{ deviceId, label, facing: "environment" | "user" | "external" | null }]
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}`, facing: guessFacing(d) }));
+}
+
+function guessFacing(device) {
+  const facing = device.getCapabilities?.().facingMode?.[0];
+  if (facing === "environment" || facing === "user") return facing;
+  const label = device.label.toLowerCase();
+  if (/back|rear|environment|world/.test(label)) return "environment";
+  if (/front|user|face/.test(label)) return "user";
+  return label ? "external" : null;
+}
+
+// -> [{ key, label, type, value, min, max, step, options }] for what this track supports
+export function getCameraControls(track) {
+  const caps = track?.getCapabilities ? track.getCapabilities() : {};
+  const current = track?.getSettings ? track.getSettings() : {};
+  const out = [];
+  for (const c of CONTROLS) {
+    const cap = caps[c.key];
+    if (cap == null) continue;
+    if (c.type === "range" && typeof cap.max === "number" && cap.max > cap.min) {
+      out.push({ ...c, min: cap.min, max: cap.max, step: cap.step || (cap.max - cap.min) / 100, value: current[c.key] ?? cap.min });
+    } else if (c.type === "mode" && Array.isArray(cap) && cap.length > 1) {
+      out.push({ ...c, options: cap, value: current[c.key] ?? cap[0] });
+    } else if (c.type === "toggle" && (cap === true || (Array.isArray(cap) && cap.includes(true)))) {
+      out.push({ ...c, value: !!current[c.key] });
+    }
+  }
+  return out;
+}
+
+// Returns the value the track actually settled on
+export async function applyCameraControl(track, key, value) {
+  await track.applyConstraints({ advanced: [{ [key]: value }] });
+  const deviceId = track.getSettings?.().deviceId;
+  if (deviceId) {
+    const all = loadControls();
+    all[deviceId] = { ...all[deviceId], [key]: value };
+    saveControls(all);
+  }
+  return track.getSettings?.()[key] ?? value;
+}
+
+export function resetCameraControls(track) {
+  const deviceId = track?.getSettings?.().deviceId;
+  if (!deviceId) return;
+  const all = loadControls();
+  delete all[deviceId];
+  saveControls(all);
+}
+
+// Every device's saved controls (Settings → Reset all)
+export function clearCameraControls() {
+  try { localStorage.removeItem(CONTROLS_KEY); } catch {}
+}
 
-  await videoEl.play();
+async function applySavedControls(track, capabilities) {
+  const saved = loadControls()[track.getSettings?.().deviceId];
+  if (!saved) return;
+  // Modes first: focusDistance / colorTemperature only stick in manual mode
+  const keys = Object.keys(saved)
+    .filter(k => k in capabilities)
+    .sort((a, b) => b.endsWith("Mode") - a.endsWith("Mode"));
+  for (const k of keys) {
+    try { await track.applyConstraints({ advanced: [{ [k]: saved[k] }] }); }
+    catch (e) { console.warn(`Camera control ${k} not applied:`, e); }
+  }
+}
 
-  const track = stream.getVideoTracks?.()[0] || null;
-  const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
-  const settings = track?.getSettings ? track.getSettings() : {};
+function loadControls() {
+  try { return JSON.parse(localStorage.getItem(CONTROLS_KEY) || "{}") || {}; } catch { return {}; }
+}
 
-  return { stream, track, capabilities, settings };
+function saveControls(all) {
+  try { localStorage.setItem(CONTROLS_KEY, JSON.stringify(all)); } catch {}
 }
 
 export function stopCamera(videoEl) {
@@ -50,4 +172,10 @@ export function captureToCanvas(videoEl, canvas) {
   const ctx = canvas.getContext("2d");
   ctx.drawImage(videoEl, 0, 0, vw, vh);
   return canvas;
-}
\ No newline at end of file
+}
+
+export function canvasToBlob(canvas, type = "image/jpeg", quality = 0.92) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Canvas encode failed"))), type, quality);
+  });
+}
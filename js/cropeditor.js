@@ -0,0 +1,294 @@
+// Non-destructive crop editor (Inspect → Edit crop)
+// Works on the snap's stored full frame; the crop is { x, y, w, h } in frame pixels
+// (the unrotated rectangle) plus a rotation in radians about its center.
+// - One pointer: drag inside = move, drag a corner = resize (aspect kept when locked)
+// - Two pointers (touch) or two-hand pinch (app.js): spread = resize, twist = rotate
+// - app.js also feeds the one-hand pinch cursor through pointerDown/Move/Up (CSS px)
+// renderCrop() produces the output image from the same state.
+
+export const ASPECTS = {
+  free: { label: "Free", ratio: null },
+  original: { label: "Original", ratio: "original" },
+  "1:1": { label: "1:1", ratio: 1 },
+  "4:3": { label: "4:3", ratio: 4 / 3 },
+  "3:4": { label: "3:4", ratio: 3 / 4 },
+  "16:9": { label: "16:9", ratio: 16 / 9 },
+  "9:16": { label: "9:16", ratio: 9 / 16 }
+};
+
+const MIN_SIZE = 24;        // frame px
+const HANDLE_CSS = 22;      // corner hit radius, CSS px
+
+// frame: ImageBitmap (or any drawable with width/height)
+// initial: { crop, rotation, aspect } — aspect is an ASPECTS key
+export function createCropEditor(canvas, frame, initial, { originalRatio = 1, onChange = () => {} } = {}) {
+  const ctx = canvas.getContext("2d");
+  const fw = frame.width, fh = frame.height;
+
+  // Internal: center-based
+  let st = fromRect(initial.crop, initial.rotation || 0);
+  let aspect = initial.aspect || "free";
+
+  let drag = null;        // { mode: "move" | "corner", sx, sy, start, p0 }
+  let twist = null;       // { start } during a two-finger / two-hand transform
+  const touches = new Map();
+
+  function fromRect(r, rotation) {
+    return { cx: r.x + r.w / 2, cy: r.y + r.h / 2, w: r.w, h: r.h, rotation };
+  }
+
+  function ratio() {
+    const r = ASPECTS[aspect]?.ratio ?? null;
+    return r === "original" ? originalRatio : r;
+  }
+
+  function clampState(s) {
+    const maxSide = Math.max(fw, fh) * 1.5;
+    let w, h;
+    if (ratio()) {
+      // Locked aspect: scale both sides by one factor so the ratio survives the clamp
+      const lo = Math.max(MIN_SIZE / s.w, MIN_SIZE / s.h);
+      const hi = Math.min(maxSide / s.w, maxSide / s.h);
+      const k = Math.min(hi, Math.max(lo, 1));
+      w = s.w * k;
+      h = s.h * k;
+    } else {
+      w = Math.min(maxSide, Math.max(MIN_SIZE, s.w));
+      h = Math.min(maxSide, Math.max(MIN_SIZE, s.h));
+    }
+    return {
+      ...s, w, h,
+      cx: Math.min(fw, Math.max(0, s.cx)),
+      cy: Math.min(fh, Math.max(0, s.cy))
+    };
+  }
+
+  function set(next) {
+    st = clampState(next);
+    draw();
+    onChange(getState());
+  }
+
+  // Canvas px per frame px, and CSS -> frame coordinates
+  function scale() { return canvas.width / fw; }
+  function toFrame(cssX, cssY) {
+    const r = canvas.getBoundingClientRect();
+    return { x: (cssX - r.left) * (fw / r.width), y: (cssY - r.top) * (fh / r.height) };
+  }
+  function toLocal(p, s = st) {
+    const dx = p.x - s.cx, dy = p.y - s.cy;
+    const c = Math.cos(s.rotation), sn = Math.sin(s.rotation);
+    return { x: dx * c + dy * sn, y: -dx * sn + dy * c };
+  }
+  function toWorld(l, s = st) {
+    const c = Math.cos(s.rotation), sn = Math.sin(s.rotation);
+    return { x: s.cx + l.x * c - l.y * sn, y: s.cy + l.x * sn + l.y * c };
+  }
+  function corners(s = st) {
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => toWorld({ x: sx * s.w / 2, y: sy * s.h / 2 }, s));
+  }
+
+  function resize() {
+    const cssW = canvas.clientWidth || 300;
+    const dpr = Math.max(1, window.devicePixelRatio || 1);
+    canvas.width = Math.round(cssW * dpr);
+    canvas.height = Math.round(cssW * dpr * fh / fw);
+    draw();
+  }
+
+  function draw() {
+    const k = scale();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+
+    const pts = corners().map(p => ({ x: p.x * k, y: p.y * k }));
+
+    // Dim everything outside the crop
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, canvas.width, canvas.height);
+    pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fill("evenodd");
+
+    ctx.beginPath();
+    pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.lineWidth = Math.max(1, 2 * (window.devicePixelRatio || 1));
+    ctx.strokeStyle = "rgba(255,255,255,0.95)";
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(68,255,175,0.95)";
+    const hr = 6 * (window.devicePixelRatio || 1);
+    for (const p of pts) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, hr, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // ---- single pointer (touch, mouse, or the pinch cursor from app.js) ----
+  function pointerDown(cssX, cssY) {
+    const p = toFrame(cssX, cssY);
+    const r = canvas.getBoundingClientRect();
+    const handle = HANDLE_CSS * (fw / r.width);
+
+    const hit = [[-1, -1], [1, -1], [1, 1], [-1, 1]].find(([sx, sy], i) => {
+      const c = corners()[i];
+      return Math.hypot(c.x - p.x, c.y - p.y) <= handle;
+    });
+
+    if (hit) {
+      drag = { mode: "corner", sx: hit[0], sy: hit[1], start: { ...st } };
+      return true;
+    }
+    const l = toLocal(p);
+    if (Math.abs(l.x) <= st.w / 2 && Math.abs(l.y) <= st.h / 2) {
+      drag = { mode: "move", p0: p, start: { ...st } };
+      return true;
+    }
+    return false;
+  }
+
+  function pointerMove(cssX, cssY) {
+    if (!drag) return;
+    const p = toFrame(cssX, cssY);
+    const s0 = drag.start;
+
+    if (drag.mode === "move") {
+      set({ ...s0, cx: s0.cx + p.x - drag.p0.x, cy: s0.cy + p.y - drag.p0.y });
+      return;
+    }
+
+    // Corner: the opposite corner stays put (in the rect's own rotated frame)
+    const L = toLocal(p, s0);
+    const O = { x: -drag.sx * s0.w / 2, y: -drag.sy * s0.h / 2 };
+    let w = Math.max(MIN_SIZE, Math.abs(L.x - O.x));
+    let h = Math.max(MIN_SIZE, Math.abs(L.y - O.y));
+    const r = ratio();
+    if (r) {
+      if (w / h > r) h = w / r;
+      else w = h * r;
+    }
+    const mid = { x: O.x + drag.sx * w / 2, y: O.y + drag.sy * h / 2 };
+    const c = toWorld(mid, s0);
+    set({ ...s0, cx: c.x, cy: c.y, w, h });
+  }
+
+  function pointerUp() {
+    drag = null;
+  }
+
+  // ---- two-finger / two-hand transform ----
+  function beginTransform() {
+    drag = null;
+    twist = { start: { ...st } };
+  }
+
+  function transform(scaleBy, rotateBy) {
+    if (!twist) return;
+    const s0 = twist.start;
+    set({ ...s0, w: s0.w * scaleBy, h: s0.h * scaleBy, rotation: s0.rotation + rotateBy });
+  }
+
+  function endTransform() {
+    twist = null;
+  }
+
+  // Pointer events on the canvas itself
+  function touchGeom() {
+    const [a, b] = [...touches.values()];
+    return { d: Math.hypot(b.x - a.x, b.y - a.y), angle: Math.atan2(b.y - a.y, b.x - a.x) };
+  }
+  let touch0 = null;
+
+  canvas.addEventListener("pointerdown", (e) => {
+    canvas.setPointerCapture(e.pointerId);
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size === 1) pointerDown(e.clientX, e.clientY);
+    if (touches.size === 2) {
+      beginTransform();
+      touch0 = touchGeom();
+    }
+    e.preventDefault();
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (!touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size === 2 && touch0) {
+      const g = touchGeom();
+      transform(g.d / Math.max(1, touch0.d), g.angle - touch0.angle);
+    } else if (touches.size === 1) {
+      pointerMove(e.clientX, e.clientY);
+    }
+  });
+  const release = (e) => {
+    touches.delete(e.pointerId);
+    if (touches.size < 2) { endTransform(); touch0 = null; }
+    if (!touches.size) pointerUp();
+  };
+  canvas.addEventListener("pointerup", release);
+  canvas.addEventListener("pointercancel", release);
+
+  function getState() {
+    return {
+      crop: {
+        x: Math.round(st.cx - st.w / 2), y: Math.round(st.cy - st.h / 2),
+        w: Math.round(st.w), h: Math.round(st.h)
+      },
+      rotation: st.rotation,
+      aspect
+    };
+  }
+
+  resize();
+
+  return {
+    canvas,
+    pointerDown, pointerMove, pointerUp,
+    beginTransform, transform, endTransform,
+    resize,
+    getState,
+    setRotation(rad) { set({ ...st, rotation: rad }); },
+    rotateBy(rad) { set({ ...st, rotation: st.rotation + rad }); },
+    setAspect(key) {
+      aspect = key in ASPECTS ? key : "free";
+      const r = ratio();
+      // Keep the area roughly the same when snapping to a ratio
+      if (r) {
+        const area = st.w * st.h;
+        set({ ...st, w: Math.sqrt(area * r), h: Math.sqrt(area / r) });
+      } else {
+        onChange(getState());
+      }
+    },
+    reset(state) {
+      aspect = state.aspect || "free";
+      st = clampState(fromRect(state.crop, state.rotation || 0));
+      draw();
+      onChange(getState());
+    }
+  };
+}
+
+// Output image for an editor state; the long side is `maxSide` px.
+// Areas of a rotated crop that fall outside the frame come out black.
+export function renderCrop(frame, { crop, rotation = 0 }, maxSide) {
+  const k = maxSide / Math.max(crop.w, crop.h);
+  const out = document.createElement("canvas");
+  out.width = Math.max(1, Math.round(crop.w * k));
+  out.height = Math.max(1, Math.round(crop.h * k));
+
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.translate(out.width / 2, out.height / 2);
+  ctx.scale(k, k);
+  ctx.rotate(-rotation);
+  ctx.translate(-(crop.x + crop.w / 2), -(crop.y + crop.h / 2));
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(frame, 0, 0);
+  return out;
+}
@@ -0,0 +1,183 @@
+// Training-data export from snaps captured with "Keep full frame" (capture.keepFrame)
+//   coco  images/*.jpg + annotations.json (categories = class map, ids from 1)
+//   yolo  images/*.jpg + labels/*.txt ("cls cx cy w h", normalized) + classes.txt + data.yaml
+//   voc   JPEGImages/*.jpg + Annotations/*.xml + labels.txt
+// Labels pass through a user-editable relabel map first: rename / merge classes,
+// or map to "" to drop them. The map is persisted so corrections stick.
+
+import { createZip } from "./zip.js";
+
+const RELABEL_KEY = "pvh_dataset_relabel";
+
+export const DATASET_FORMATS = {
+  coco: "COCO JSON",
+  yolo: "YOLO txt",
+  voc: "Pascal VOC XML"
+};
+
+export function getRelabelMap() {
+  try {
+    const m = JSON.parse(localStorage.getItem(RELABEL_KEY) || "{}");
+    return m && typeof m === "object" ? m : {};
+  } catch {
+    return {};
+  }
+}
+
+export function setRelabelMap(map) {
+  try { localStorage.setItem(RELABEL_KEY, JSON.stringify(map)); } catch {}
+}
+
+// Raw detector labels across all frames: [{ label, count }], most frequent first
+export function collectLabels(snaps) {
+  const counts = new Map();
+  for (const s of snaps) {
+    for (const b of s.source?.boxes || []) counts.set(b.label, (counts.get(b.label) || 0) + 1);
+  }
+  return [...counts].map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+export function mapLabel(label, relabel) {
+  const v = relabel[label];
+  return (v === undefined ? label : v).trim();
+}
+
+// Final class names in index order (alphabetical, dropped labels excluded)
+export function buildClassMap(labels, relabel) {
+  return [...new Set(labels.map(l => mapLabel(l, relabel)).filter(Boolean))].sort();
+}
+
+// snaps: full records (with source.blob). Returns { blob, images, boxes, classes }
+export async function exportDataset(snaps, { format = "coco", relabel = {}, includeEmpty = false } = {}) {
+  const classes = buildClassMap(collectLabels(snaps).map(l => l.label), relabel);
+  const classId = new Map(classes.map((c, i) => [c, i]));
+
+  const images = [];
+  for (const s of snaps) {
+    const src = s.source;
+    if (!src?.blob) continue;
+    const boxes = (src.boxes || [])
+      .map(b => ({ ...b, label: mapLabel(b.label, relabel), bbox: clipBox(b.bbox, src.width, src.height) }))
+      .filter(b => classId.has(b.label) && b.bbox);
+    if (!boxes.length && !includeEmpty) continue;
+    images.push({ id: s.id, ts: s.ts, blob: src.blob, width: src.width, height: src.height, boxes });
+  }
+
+  const build = { coco: buildCoco, yolo: buildYolo, voc: buildVoc }[format];
+  if (!build) throw new Error(`Unknown dataset format: ${format}`);
+  const entries = build(images, classes, classId);
+
+  return {
+    blob: await createZip(entries),
+    images: images.length,
+    boxes: images.reduce((n, im) => n + im.boxes.length, 0),
+    classes
+  };
+}
+
+function buildCoco(images, classes, classId) {
+  const entries = [];
+  const doc = {
+    info: { description: "Exported snapshots", date_created: new Date().toISOString() },
+    licenses: [],
+    images: [],
+    annotations: [],
+    categories: classes.map((name, i) => ({ id: i + 1, name, supercategory: "object" }))
+  };
+
+  let annId = 1;
+  images.forEach((im, i) => {
+    const file = `${im.id}.jpg`;
+    entries.push({ name: `images/${file}`, data: im.blob, date: new Date(im.ts) });
+    doc.images.push({
+      id: i + 1, file_name: file, width: im.width, height: im.height,
+      date_captured: new Date(im.ts).toISOString()
+    });
+    for (const b of im.boxes) {
+      const [x, y, w, h] = b.bbox;
+      doc.annotations.push({
+        id: annId++, image_id: i + 1, category_id: classId.get(b.label) + 1,
+        bbox: [x, y, w, h], area: w * h, iscrowd: 0, score: b.score
+      });
+    }
+  });
+
+  entries.push({ name: "annotations.json", data: JSON.stringify(doc, null, 2) });
+  return entries;
+}
+
+function buildYolo(images, classes, classId) {
+  const entries = [];
+  const r = (v) => v.toFixed(6);
+  for (const im of images) {
+    entries.push({ name: `images/${im.id}.jpg`, data: im.blob, date: new Date(im.ts) });
+    const lines = im.boxes.map(b => {
+      const [x, y, w, h] = b.bbox;
+      return `${classId.get(b.label)} ${r((x + w / 2) / im.width)} ${r((y + h / 2) / im.height)} ${r(w / im.width)} ${r(h / im.height)}`;
+    });
+    entries.push({ name: `labels/${im.id}.txt`, data: lines.join("\n") + (lines.length ? "\n" : "") });
+  }
+  entries.push({ name: "classes.txt", data: classes.join("\n") + "\n" });
+  entries.push({
+    name: "data.yaml",
+    data: `path: .\ntrain: images\nval: images\nnc: ${classes.length}\nnames: ${JSON.stringify(classes)}\n`
+  });
+  return entries;
+}
+
+function buildVoc(images, classes) {
+  const entries = [];
+  for (const im of images) {
+    const file = `${im.id}.jpg`;
+    entries.push({ name: `JPEGImages/${file}`, data: im.blob, date: new Date(im.ts) });
+
+    // VOC boxes are 1-based, inclusive pixel coordinates
+    const objects = im.boxes.map(b => {
+      const [x, y, w, h] = b.bbox;
+      return `  <object>
+    <name>${xml(b.label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(x) + 1}</xmin>
+      <ymin>${Math.round(y) + 1}</ymin>
+      <xmax>${Math.round(x + w)}</xmax>
+      <ymax>${Math.round(y + h)}</ymax>
+    </bndbox>
+  </object>`;
+    }).join("\n");
+
+    entries.push({
+      name: `Annotations/${im.id}.xml`,
+      data: `<annotation>
+  <folder>JPEGImages</folder>
+  <filename>${file}</filename>
+  <size>
+    <width>${im.width}</width>
+    <height>${im.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${objects}
+</annotation>
+`
+    });
+  }
+  entries.push({ name: "labels.txt", data: classes.join("\n") + "\n" });
+  return entries;
+}
+
+// [x,y,w,h] clipped to the image; null if nothing is left
+function clipBox(bbox, width, height) {
+  const [x, y, w, h] = bbox;
+  const x0 = Math.max(0, x), y0 = Math.max(0, y);
+  const x1 = Math.min(width, x + w), y1 = Math.min(height, y + h);
+  if (x1 - x0 < 1 || y1 - y0 < 1) return null;
+  return [x0, y0, x1 - x0, y1 - y0];
+}
+
+function xml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", "\"": "&quot;" }[c]));
+}
@@ -0,0 +1,239 @@
+// Detector backends behind vision.js detectFrame()
+//
+// Contract — each factory returns a backend object:
+//   id, name            registry key + display name
+//   inputSize           [w, h] the model expects (null = any)
+//   labels              class index -> name (filled after load)
+//   load()              fetch runtime + weights (async, called once)
+//   detect(source)      -> [{ bbox: [x, y, w, h], class, score }] in VIDEO pixels
+//   dispose()           free GPU memory
+//
+// Pre/post-processing lives inside the backend so vision.js and the overlay only
+// ever see the common { bbox, class, score } shape.
+
+import { assetUrl } from "./assets.js";
+
+const registry = new Map();
+
+export function registerDetector(id, { name, create }) {
+  registry.set(id, { id, name: name || id, create });
+}
+
+export function listDetectors() {
+  return [...registry.values()].map(({ id, name }) => ({ id, name }));
+}
+
+export function hasDetector(id) {
+  return registry.has(id);
+}
+
+export function createDetector(id) {
+  const entry = registry.get(id);
+  if (!entry) throw new Error(`Unknown detector: ${id}`);
+  const backend = entry.create();
+  backend.id = id;
+  backend.name = entry.name;
+  return backend;
+}
+
+/* ---------- shared runtime ---------- */
+let tfPromise = null;
+
+export function loadTf() {
+  if (!tfPromise) {
+    tfPromise = (async () => {
+      const mod = await import(await assetUrl("tfjs"));
+      const tf = globalThis.tf || mod; // UMD build sets a global
+      await tf.ready();
+      return tf;
+    })().catch((e) => { tfPromise = null; throw e; });
+  }
+  return tfPromise;
+}
+
+async function loadLabels(key) {
+  const res = await fetch(await assetUrl(key));
+  if (!res.ok) throw new Error(`Labels failed: ${res.status}`);
+  const json = await res.json();
+  // Accept ["a","b"] or {"0":"a","1":"b"}
+  return Array.isArray(json) ? json : Object.keys(json).sort((a, b) => a - b).map(k => json[k]);
+}
+
+function sourceSize(src) {
+  const w = src.videoWidth || src.displayWidth || src.width || 0;
+  const h = src.videoHeight || src.displayHeight || src.height || 0;
+  return { w, h };
+}
+
+/* ---------- COCO-SSD (default) ---------- */
+registerDetector("coco-ssd", {
+  name: "COCO-SSD (80 classes)",
+  create() {
+    let model = null;
+    return {
+      inputSize: null,
+      labels: [],
+      async load() {
+        await loadTf();
+        const cocoSsd = await import(await assetUrl("cocoSsd"));
+        const lib = globalThis.cocoSsd || cocoSsd;
+        model = await lib.load({ base: "lite_mobilenet_v2", modelUrl: await assetUrl("cocoSsdModel") });
+        this.labels = COCO_LABELS;
+      },
+      async detect(src) {
+        if (!model) return [];
+        return model.detect(src);
+      },
+      dispose() {
+        model?.dispose?.();
+        model = null;
+      }
+    };
+  }
+});
+
+/* ---------- Custom TFJS graph model (TF Object Detection API export) ---------- */
+// Outputs: detection_boxes [1,N,4] (ymin,xmin,ymax,xmax normalized),
+//          detection_scores [1,N], detection_classes [1,N] (1-based ids)
+registerDetector("parts-graph", {
+  name: "Parts catalog (TFJS graph)",
+  create() {
+    let tf = null;
+    let model = null;
+    return {
+      inputSize: [320, 320],
+      labels: [],
+      async load() {
+        tf = await loadTf();
+        model = await tf.loadGraphModel(await assetUrl("partsModel"));
+        this.labels = await loadLabels("partsLabels");
+        const shape = model.inputs?.[0]?.shape;
+        if (shape?.[1] > 0 && shape?.[2] > 0) this.inputSize = [shape[2], shape[1]];
+      },
+      async detect(src) {
+        if (!model) return [];
+        const { w, h } = sourceSize(src);
+        if (!w || !h) return [];
+        const [iw, ih] = this.inputSize;
+
+        const input = tf.tidy(() =>
+          tf.image.resizeBilinear(tf.browser.fromPixels(src), [ih, iw]).toInt().expandDims(0)
+        );
+        const out = await model.executeAsync(input, ["detection_boxes", "detection_scores", "detection_classes"]);
+        input.dispose();
+
+        const [boxes, scores, classes] = await Promise.all(out.map(t => t.data()));
+        out.forEach(t => t.dispose());
+
+        const dets = [];
+        for (let i = 0; i < scores.length; i++) {
+          const [ymin, xmin, ymax, xmax] = boxes.subarray(i * 4, i * 4 + 4);
+          dets.push({
+            bbox: [xmin * w, ymin * h, (xmax - xmin) * w, (ymax - ymin) * h],
+            class: this.labels[classes[i] - 1] ?? `class ${classes[i]}`,
+            score: scores[i]
+          });
+        }
+        return dets;
+      },
+      dispose() {
+        model?.dispose?.();
+        model = null;
+      }
+    };
+  }
+});
+
+/* ---------- YOLO-style (v5/v8 export, letterboxed, NMS in JS land) ---------- */
+// Output: [1, 4 + C, N] (v8) or [1, N, 5 + C] (v5, with objectness)
+registerDetector("yolo", {
+  name: "YOLO (TFJS graph)",
+  create() {
+    let tf = null;
+    let model = null;
+    const IOU = 0.45;
+    const MIN_SCORE = 0.25;
+    const MAX_BOXES = 50;
+
+    return {
+      inputSize: [640, 640],
+      labels: [],
+      async load() {
+        tf = await loadTf();
+        model = await tf.loadGraphModel(await assetUrl("yoloModel"));
+        this.labels = await loadLabels("yoloLabels");
+        const shape = model.inputs?.[0]?.shape;
+        if (shape?.[1] > 0 && shape?.[2] > 0) this.inputSize = [shape[2], shape[1]];
+      },
+      async detect(src) {
+        if (!model) return [];
+        const { w, h } = sourceSize(src);
+        if (!w || !h) return [];
+        const [iw, ih] = this.inputSize;
+
+        // Letterbox: keep aspect, pad bottom/right
+        const scale = Math.min(iw / w, ih / h);
+        const rw = Math.round(w * scale);
+        const rh = Math.round(h * scale);
+
+        const input = tf.tidy(() => {
+          const img = tf.image.resizeBilinear(tf.browser.fromPixels(src), [rh, rw]);
+          return img.pad([[0, ih - rh], [0, iw - rw], [0, 0]], 114).div(255).expandDims(0);
+        });
+        const raw = await model.executeAsync(input);
+        input.dispose();
+
+        const out = Array.isArray(raw) ? raw[0] : raw;
+        const numClasses = this.labels.length;
+        const { boxes, scores, classes } = tf.tidy(() => {
+          let t = out.squeeze();                       // [4+C, N] or [N, 5+C]
+          const v5 = t.shape[1] === numClasses + 5;
+          if (!v5) t = t.transpose();                  // -> [N, 4+C]
+          const xywh = t.slice([0, 0], [-1, 4]);
+          const cls = v5
+            ? t.slice([0, 5], [-1, numClasses]).mul(t.slice([0, 4], [-1, 1]))
+            : t.slice([0, 4], [-1, numClasses]);
+          const [cx, cy, bw, bh] = tf.split(xywh, 4, 1);
+          const y1 = cy.sub(bh.div(2)), x1 = cx.sub(bw.div(2));
+          return {
+            boxes: tf.concat([y1, x1, y1.add(bh), x1.add(bw)], 1),
+            scores: cls.max(1),
+            classes: cls.argMax(1)
+          };
+        });
+        (Array.isArray(raw) ? raw : [raw]).forEach(t => t.dispose());
+
+        const keep = await tf.image.nonMaxSuppressionAsync(boxes, scores, MAX_BOXES, IOU, MIN_SCORE);
+        const [b, s, c, k] = await Promise.all([boxes.data(), scores.data(), classes.data(), keep.data()]);
+        tf.dispose([boxes, scores, classes, keep]);
+
+        return Array.from(k, (i) => {
+          const [y1, x1, y2, x2] = b.subarray(i * 4, i * 4 + 4);
+          return {
+            bbox: [x1 / scale, y1 / scale, (x2 - x1) / scale, (y2 - y1) / scale],
+            class: this.labels[c[i]] ?? `class ${c[i]}`,
+            score: s[i]
+          };
+        });
+      },
+      dispose() {
+        model?.dispose?.();
+        model = null;
+      }
+    };
+  }
+});
+
+const COCO_LABELS = [
+  "person", "bicycle", "car", "motorcycle", "airplane", "bus", "train", "truck", "boat",
+  "traffic light", "fire hydrant", "stop sign", "parking meter", "bench", "bird", "cat",
+  "dog", "horse", "sheep", "cow", "elephant", "bear", "zebra", "giraffe", "backpack",
+  "umbrella", "handbag", "tie", "suitcase", "frisbee", "skis", "snowboard", "sports ball",
+  "kite", "baseball bat", "baseball glove", "skateboard", "surfboard", "tennis racket",
+  "bottle", "wine glass", "cup", "fork", "knife", "spoon", "bowl", "banana", "apple",
+  "sandwich", "orange", "broccoli", "carrot", "hot dog", "pizza", "donut", "cake", "chair",
+  "couch", "potted plant", "bed", "dining table", "toilet", "tv", "laptop", "mouse",
+  "remote", "keyboard", "cell phone", "microwave", "oven", "toaster", "sink",
+  "refrigerator", "book", "clock", "vase", "scissors", "teddy bear", "hair drier",
+  "toothbrush"
+];
@@ -1,27 +1,38 @@
 // Google MediaPipe Tasks Vision (Gesture Recognizer) for Web
 // - DOES NOT start its own camera
 // - Reads frames from your existing <video>
-// Emits events:
-//   cursor {x,y,pinch,gesture}  (x,y are normalized to the video image)
+// - Tracks up to two hands
+// Emits events (every single-hand event carries {hand, handedness, primary}):
+//   cursor {x,y,pinch,pinchRatio,pointing,gesture}  (x,y are normalized to the video image)
 //   pinchStart / pinchMove / pinchEnd (x,y on start/move)
-//   point (throttled)
+//   twoPinchStart / twoPinchMove {cx,cy,scale,rotation} / twoPinchEnd   both hands pinching
+//   frameMove {rect,progress} / frameConfirm {rect} / frameEnd           two-hand "L" frame
+//     rect = {x0,y0,x1,y1} normalized to the video image
 //   none
+// Runtime, WASM and .task model come from the asset manifest (./assets.js)
+// Thresholds/throttles are read from the settings store every frame (live tuning)
+// Pinch = thumb-index distance / palm width (index MCP -> pinky MCP), so it holds
+// for small hands, far hands and different FOVs. Uses 3D world landmarks when present.
+// Cursor position and pinch ratio are One Euro filtered per hand; pinch uses
+// hysteresis (enter < threshold, exit > threshold × release) and only starts once
+// the fingertip has slowed down.
+
+import { assetUrl } from "./assets.js";
+import { getSetting } from "./settings.js";
+import { createOneEuroFilter, createPointFilter } from "./smoothing.js";
+
+const FRAME_MIN_SIZE = 0.08;   // normalized; smaller "frames" are ignored
 
 export async function createGestureTracker(videoEl, onGesture) {
   if (!videoEl) throw new Error("createGestureTracker: missing videoEl");
 
-  const pkgVer = "0.10.22-rc.20250304";
-  const { FilesetResolver, GestureRecognizer } =
-    await import(`https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${pkgVer}`);
+  const { FilesetResolver, GestureRecognizer } = await import(await assetUrl("tasksVision"));
 
   // Load WASM runtime
-  const vision = await FilesetResolver.forVisionTasks(
-    `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${pkgVer}/wasm`
-  );
+  const vision = await FilesetResolver.forVisionTasks(await assetUrl("tasksVisionWasm"));
 
-  // Model hosted by Google
-  const modelAssetPath =
-    "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task";
+  // Model (same-origin copy by default, or the configured mirror)
+  const modelAssetPath = await assetUrl("gestureModel");
 
   const recognizer = await GestureRecognizer.createFromOptions(vision, {
     baseOptions: {
@@ -29,24 +40,215 @@ export async function createGestureTracker(videoEl, onGesture) {
       delegate: "GPU",
     },
     runningMode: "VIDEO",
-    numHands: 1,
+    numHands: 2,
   });
 
   let running = true;
   let raf = 0;
 
-  let pinchDown = false;
-  let lastCursorEmit = 0;
-  let lastPointEmit = 0;
+  // Per-hand state, keyed by hand id ("Left" / "Right", or "Right#1" if both read the same)
+  const hands = new Map();
+  let primaryId = null;
 
-  const PINCH_DIST = 0.060;        // tune: smaller = stricter pinch
-  const CURSOR_FPS_MS = 45;        // ~22fps
-  const POINT_THROTTLE_MS = 350;   // point snapshots not spammy
+  // Two-hand state
+  let twoPinch = null;   // { startDist, startAngle }
+  let framing = null;    // { since, confirmed }
 
   function dist(a, b) {
     const dx = a.x - b.x;
     const dy = a.y - b.y;
-    return Math.sqrt(dx * dx + dy * dy);
+    const dz = (a.z ?? 0) - (b.z ?? 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  // Thumb-index gap in palm widths
+  function pinchRatio(pts) {
+    const palm = dist(pts[5], pts[17]);
+    return dist(pts[4], pts[8]) / Math.max(palm, 1e-4);
+  }
+
+  // Finger is extended when its tip is clearly further from the wrist than its PIP joint
+  function extended(lm, tip, pip) {
+    return dist(lm[0], lm[tip]) > dist(lm[0], lm[pip]) * 1.15;
+  }
+
+  // "L": thumb + index out, other three curled
+  function isLShape(lm) {
+    const palm = dist(lm[5], lm[17]);
+    const thumbOut = dist(lm[4], lm[5]) > palm * 0.7;
+    return thumbOut && extended(lm, 8, 6) &&
+      !extended(lm, 12, 10) && !extended(lm, 16, 14) && !extended(lm, 20, 18);
+  }
+
+  const cursorParams = () => ({
+    minCutoff: getSetting("gestures.smoothMinCutoff"),
+    beta: getSetting("gestures.smoothBeta")
+  });
+  // Ratio is a slower, unitless signal: fixed, gentler tuning
+  const ratioParams = () => ({ minCutoff: 2, beta: 0.5 });
+
+  function handState(id) {
+    if (!hands.has(id)) {
+      hands.set(id, {
+        pinchDown: false, lastCursorEmit: 0,
+        tipFilter: createPointFilter(cursorParams),
+        ratioFilter: createOneEuroFilter(ratioParams)
+      });
+    }
+    return hands.get(id);
+  }
+
+  function readHands(res, now) {
+    const out = [];
+    const seen = new Set();
+    const n = res?.landmarks?.length || 0;
+    for (let i = 0; i < n; i++) {
+      const lm = res.landmarks[i];
+      const world = res.worldLandmarks?.[i];
+      const handedness = res.handedness?.[i]?.[0]?.categoryName || null;
+      let id = handedness || `hand${i}`;
+      if (seen.has(id)) id = `${id}#${i}`;
+      seen.add(id);
+
+      const hs = handState(id);
+      const rawRatio = pinchRatio(world?.length === 21 ? world : lm);
+      const smooth = getSetting("gestures.smoothing");
+      const ratio = smooth ? hs.ratioFilter.filter(rawRatio, now) : rawRatio;
+      const tip = smooth ? hs.tipFilter.filter(lm[8].x, lm[8].y, now) : { x: lm[8].x, y: lm[8].y };
+
+      // Hysteresis: harder to enter than to stay in; no entering while the tip is still moving
+      const enter = getSetting("gestures.pinchRatio");  // smaller = stricter pinch
+      const isPinch = hs.pinchDown
+        ? ratio < enter * getSetting("gestures.pinchReleaseRatio")
+        : ratio < enter && (!smooth || hs.tipFilter.speed <= getSetting("gestures.pinchMaxSpeed"));
+
+      const gesture = res.gestures?.[i]?.[0]?.categoryName || null;
+      const heuristicPoint = (lm[8].y < lm[6].y - 0.02) && !isPinch;
+
+      out.push({
+        id, handedness, lm, tip, ratio, gesture, isPinch,
+        pointing: gesture === "Pointing_Up" || heuristicPoint,
+        lShape: !isPinch && isLShape(lm)
+      });
+    }
+    return out;
+  }
+
+  // Preferred hand from settings, else keep whichever hand was primary last frame
+  function pickPrimary(list) {
+    const pref = getSetting("gestures.handedness");
+    const preferred = pref !== "auto" && list.find(h => h.handedness === pref);
+    if (preferred) return preferred.id;
+    if (list.some(h => h.id === primaryId)) return primaryId;
+    return list[0]?.id ?? null;
+  }
+
+  function releaseMissing(list, prevPrimary) {
+    const present = new Set(list.map(h => h.id));
+    for (const [id, hs] of hands) {
+      if (present.has(id)) continue;
+      if (hs.pinchDown) {
+        onGesture({ type: "pinchEnd", hand: id, handedness: id.split("#")[0], primary: id === prevPrimary });
+      }
+      hands.delete(id);
+    }
+  }
+
+  function singleHand(h, now) {
+    const hs = handState(h.id);
+    const tag = { hand: h.id, handedness: h.handedness, primary: h.id === primaryId };
+    const tip = h.tip;
+
+    // Cursor feed
+    if (now - hs.lastCursorEmit >= getSetting("gestures.cursorIntervalMs")) {
+      hs.lastCursorEmit = now;
+      onGesture({
+        type: "cursor",
+        x: tip.x,
+        y: tip.y,
+        pinch: h.isPinch,
+        pinchRatio: h.ratio,
+        pointing: h.pointing,
+        gesture: h.gesture,
+        ...tag
+      });
+    }
+
+    // Pinch transitions
+    if (h.isPinch && !hs.pinchDown) {
+      hs.pinchDown = true;
+      onGesture({ type: "pinchStart", x: tip.x, y: tip.y, ...tag });
+    } else if (h.isPinch && hs.pinchDown) {
+      onGesture({ type: "pinchMove", x: tip.x, y: tip.y, ...tag });
+    } else if (!h.isPinch && hs.pinchDown) {
+      hs.pinchDown = false;
+      onGesture({ type: "pinchEnd", ...tag });
+    }
+  }
+
+  // Isotropic distance/angle: normalized coords are stretched by the video aspect
+  function span(a, b) {
+    const aspect = (videoEl.videoWidth || 16) / (videoEl.videoHeight || 9);
+    const dx = (b.x - a.x) * aspect;
+    const dy = b.y - a.y;
+    return { d: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) };
+  }
+
+  function twoHands(list, now) {
+    // Stable order so rotation doesn't flip by π when the model swaps hands
+    const [a, b] = list.length === 2 ? [...list].sort((x, y) => x.id.localeCompare(y.id)) : [null, null];
+
+    // Pinch-and-spread
+    const both = !!(a?.isPinch && b?.isPinch);
+    if (both) {
+      const pa = a.tip, pb = b.tip;
+      const { d, angle } = span(pa, pb);
+      const cx = (pa.x + pb.x) / 2;
+      const cy = (pa.y + pb.y) / 2;
+      if (!twoPinch) {
+        twoPinch = { startDist: Math.max(d, 1e-3), startAngle: angle };
+        onGesture({ type: "twoPinchStart", cx, cy, scale: 1, rotation: 0 });
+      } else {
+        onGesture({
+          type: "twoPinchMove", cx, cy,
+          scale: d / twoPinch.startDist,
+          rotation: angle - twoPinch.startAngle
+        });
+      }
+    } else if (twoPinch) {
+      twoPinch = null;
+      onGesture({ type: "twoPinchEnd" });
+    }
+
+    // Frame: both hands in "L", the two thumb-index corners span the region
+    let rect = null;
+    if (a?.lShape && b?.lShape) {
+      const ca = corner(a.lm), cb = corner(b.lm);
+      const r = {
+        x0: Math.min(ca.x, cb.x), y0: Math.min(ca.y, cb.y),
+        x1: Math.max(ca.x, cb.x), y1: Math.max(ca.y, cb.y)
+      };
+      if (r.x1 - r.x0 >= FRAME_MIN_SIZE && r.y1 - r.y0 >= FRAME_MIN_SIZE) rect = r;
+    }
+
+    if (rect) {
+      if (!framing) framing = { since: now, confirmed: false };
+      const progress = Math.min(1, (now - framing.since) / getSetting("gestures.frameHoldMs"));
+      onGesture({ type: "frameMove", rect, progress });
+      if (progress >= 1 && !framing.confirmed) {
+        framing.confirmed = true;   // one capture per frame gesture; release to go again
+        onGesture({ type: "frameConfirm", rect });
+      }
+    } else if (framing) {
+      framing = null;
+      onGesture({ type: "frameEnd" });
+    }
+
+    return !!rect;
+  }
+
+  function corner(lm) {
+    return { x: (lm[2].x + lm[5].x) / 2, y: (lm[2].y + lm[5].y) / 2 };
   }
 
   function frame(now) {
@@ -55,54 +257,18 @@ export async function createGestureTracker(videoEl, onGesture) {
     try {
       if (videoEl.readyState >= 2) {
         const res = recognizer.recognizeForVideo(videoEl, now);
-        const lm = res?.landmarks?.[0] || null;
-        const gestureName = res?.gestures?.[0]?.[0]?.categoryName || null;
-
-        if (!lm) {
-          if (pinchDown) {
-            pinchDown = false;
-            onGesture({ type: "pinchEnd" });
-          }
+        const list = readHands(res, now);
+
+        const prevPrimary = primaryId;
+        primaryId = pickPrimary(list);
+        releaseMissing(list, prevPrimary);
+
+        if (!list.length) {
+          twoHands(list, now);
           onGesture({ type: "none" });
         } else {
-          const thumbTip = lm[4];
-          const indexTip = lm[8];
-          const indexPip = lm[6];
-
-          const d = dist(thumbTip, indexTip);
-          const isPinch = d < PINCH_DIST;
-
-          // Cursor feed
-          if (now - lastCursorEmit >= CURSOR_FPS_MS) {
-            lastCursorEmit = now;
-            onGesture({
-              type: "cursor",
-              x: indexTip.x,
-              y: indexTip.y,
-              pinch: isPinch,
-              gesture: gestureName,
-            });
-          }
-
-          // Pinch transitions
-          if (isPinch && !pinchDown) {
-            pinchDown = true;
-            onGesture({ type: "pinchStart", x: indexTip.x, y: indexTip.y });
-          } else if (isPinch && pinchDown) {
-            onGesture({ type: "pinchMove", x: indexTip.x, y: indexTip.y });
-          } else if (!isPinch && pinchDown) {
-            pinchDown = false;
-            onGesture({ type: "pinchEnd" });
-          }
-
-          // Point gesture (either from classifier or fallback heuristic)
-          const heuristicPoint = (indexTip.y < indexPip.y - 0.02) && !isPinch;
-          const isPointingUp = (gestureName === "Pointing_Up") || heuristicPoint;
-
-          if (isPointingUp && (now - lastPointEmit >= POINT_THROTTLE_MS)) {
-            lastPointEmit = now;
-            onGesture({ type: "point", x: indexTip.x, y: indexTip.y });
-          }
+          twoHands(list, now);
+          for (const h of list) singleHand(h, now);
         }
       }
     } catch (e) {
@@ -121,6 +287,16 @@ export async function createGestureTracker(videoEl, onGesture) {
       running = false;
       cancelAnimationFrame(raf);
       try { recognizer.close?.(); } catch {}
+    },
+    // Camera down (page hidden, reconnecting): keep the model, stop reading frames
+    pause() {
+      running = false;
+      cancelAnimationFrame(raf);
+    },
+    resume() {
+      if (running) return;
+      running = true;
+      raf = requestAnimationFrame(frame);
     }
   };
-}
\ No newline at end of file
+}
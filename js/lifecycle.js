@@ -0,0 +1,193 @@
+// Camera lifecycle manager (wraps camera.js)
+// - start()/restart(): getUserMedia with fallbacks. OverconstrainedError / NotFoundError /
+//   NotReadableError relax the constraints step by step (chosen device -> facing ->
+//   720p -> any camera); NotAllowedError is final. A busy camera gets one quick retry.
+// - The live track's "ended" (another app took the camera, USB camera unplugged)
+//   triggers reconnect attempts with backoff
+// - visibilitychange: hidden releases the camera, visible reacquires it
+// The app idles in onPause(reason) and picks up again in onResume(stream, reason).
+
+import { startCamera, stopCamera } from "./camera.js";
+
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 4000, 8000];
+const BUSY_RETRY_MS = 600;   // NotReadableError is often the previous owner still closing
+
+const MESSAGES = {
+  NotAllowedError: "Camera blocked — allow camera access in the browser's site settings",
+  SecurityError: "Camera blocked — this page needs HTTPS and camera permission",
+  NotFoundError: "No camera found",
+  OverconstrainedError: "This camera can't do the chosen device / resolution",
+  NotReadableError: "Camera is busy — close other apps using it and try again",
+  AbortError: "Camera failed to start — try again"
+};
+
+export function cameraErrorMessage(e) {
+  return MESSAGES[e?.name] || (e?.message ? `Camera error: ${e.message}` : "Camera error");
+}
+
+// Permission problems don't get better by asking for less
+function isFinal(e) {
+  return e?.name === "NotAllowedError" || e?.name === "SecurityError" || /not supported/i.test(e?.message || "");
+}
+
+// getPrefs: () => startCamera prefs, re-read on every (re)start
+// onPause(reason):          "hidden" | "lost" — camera is down
+// onResume(stream, reason): "visible" | "reconnected" — camera is back
+// onFailed(error):          gave up; the manager is stopped
+export function createCameraLifecycle(videoEl, {
+  getPrefs,
+  onPause = () => {},
+  onResume = () => {},
+  onFailed = () => {}
+}) {
+  let active = false;     // between start() and stop()
+  let paused = false;     // page hidden or reconnecting
+  let current = null;     // startCamera() result
+  let gen = 0;            // bumped by stop / pause so late opens can tell they're stale
+
+  // Tries the user's prefs, then progressively looser ones.
+  // -> stream info with `relaxed: true` when a fallback was needed
+  async function open() {
+    const prefs = getPrefs();
+    const steps = [
+      prefs,
+      prefs.deviceId ? { ...prefs, deviceId: "" } : null,
+      { facing: prefs.facing, resolution: "720p", frameRate: 0 },
+      { facing: null, resolution: null, frameRate: 0 }
+    ].filter(Boolean);
+
+    const myGen = gen;
+    let lastError = null;
+    for (let i = 0; i < steps.length; i++) {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          const stream = await startCamera(videoEl, steps[i]);
+          if (myGen !== gen) {
+            // Stopped / hidden meanwhile: drop this stream
+            stream.stream.getTracks().forEach(t => t.stop());
+            if (videoEl.srcObject === stream.stream) videoEl.srcObject = null;
+            throw new DOMException("Camera start superseded", "AbortError");
+          }
+          current = { ...stream, relaxed: i > 0 };
+          watch(current.track);
+          return current;
+        } catch (e) {
+          if (myGen !== gen || isFinal(e)) throw e;
+          lastError = e;
+          if (e?.name !== "NotReadableError" || attempt) break;
+          await new Promise(r => setTimeout(r, BUSY_RETRY_MS));
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  function close() {
+    gen += 1;
+    current = null;
+    stopCamera(videoEl);
+  }
+
+  function watch(track) {
+    track?.addEventListener("ended", () => {
+      if (active && !paused && current?.track === track) reconnect();
+    }, { once: true });
+  }
+
+  async function reconnect() {
+    paused = true;
+    close();
+    onPause("lost");
+
+    const myGen = gen;
+    let lastError = null;
+    for (const delay of RECONNECT_DELAYS_MS) {
+      await new Promise(r => setTimeout(r, delay));
+      // Stopped, or hidden (visibility takes over when the page comes back)
+      if (myGen !== gen || !active || document.hidden) return;
+      try {
+        const stream = await open();
+        paused = false;
+        onResume(stream, "reconnected");
+        return;
+      } catch (e) {
+        if (myGen !== gen) return;
+        lastError = e;
+        if (isFinal(e)) break;
+      }
+    }
+    fail(lastError);
+  }
+
+  function fail(e) {
+    active = false;
+    paused = false;
+    close();
+    document.removeEventListener("visibilitychange", onVisibility);
+    onFailed(e);
+  }
+
+  async function onVisibility() {
+    if (!active) return;
+
+    if (document.hidden) {
+      const wasPaused = paused;
+      paused = true;
+      close();
+      if (!wasPaused) onPause("hidden");
+      return;
+    }
+
+    if (!paused) return;
+    const myGen = gen;
+    try {
+      const stream = await open();
+      paused = false;
+      onResume(stream, "visible");
+    } catch (e) {
+      if (myGen !== gen) return;   // hidden again / stopped / restarted before the camera came up
+      fail(e);
+    }
+  }
+
+  return {
+    async start() {
+      if (active) return current;
+      const stream = await open();   // throws: the caller shows cameraErrorMessage()
+      active = true;
+      paused = false;
+      document.addEventListener("visibilitychange", onVisibility);
+      return stream;
+    },
+
+    // New prefs while live (Camera panel). -> null if superseded (page hidden meanwhile);
+    // throws like start() and leaves the camera closed — the caller decides what's next.
+    async restart() {
+      if (!active) return null;
+      close();
+      const myGen = gen;
+      try {
+        const stream = await open();
+        if (paused && !document.hidden) {
+          // Was reconnecting: this counts as the reconnect
+          paused = false;
+          onResume(stream, "reconnected");
+        }
+        return stream;
+      } catch (e) {
+        if (myGen !== gen) return null;
+        throw e;
+      }
+    },
+
+    stop() {
+      active = false;
+      paused = false;
+      document.removeEventListener("visibilitychange", onVisibility);
+      close();
+    },
+
+    get active() { return active; },
+    get paused() { return paused; }
+  };
+}
@@ -0,0 +1,103 @@
+// Storage manager: persistence, quota checks and retention
+// - requestPersistence(): ask the browser not to evict our IndexedDB under pressure
+// - getStorageStatus(): usage / quota from navigator.storage.estimate()
+// - checkWrite(bytes): before a save — warn near the limit, refuse if it can't fit
+// - applyRetention(): keep last N / max MB / max age (settings "storage.*"), pinned exempt
+// Everything degrades to "unknown / allowed" where the StorageManager API is missing.
+
+import { getSetting } from "./settings.js";
+import { listSnapStats, deleteSnaps } from "./storage.js";
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEADROOM = 0.98;   // browsers start refusing a little before the reported quota
+
+export function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.code === 22;   // 22: legacy DOMException code
+}
+
+export async function requestPersistence() {
+  try {
+    if (!navigator.storage?.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+}
+
+// { usage, quota, percent, persisted } — numbers are null when unknown
+export async function getStorageStatus() {
+  const out = { usage: null, quota: null, percent: null, persisted: false };
+  try {
+    if (navigator.storage?.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      out.usage = usage ?? null;
+      out.quota = quota ?? null;
+      if (usage != null && quota) out.percent = (usage / quota) * 100;
+    }
+    if (navigator.storage?.persisted) out.persisted = await navigator.storage.persisted();
+  } catch {}
+  return out;
+}
+
+// -> { ok, warn, status }; ok=false means the write would (almost certainly) fail
+export async function checkWrite(bytes) {
+  const status = await getStorageStatus();
+  if (status.usage == null || !status.quota) return { ok: true, warn: false, status };
+
+  const after = status.usage + bytes;
+  return {
+    ok: after <= status.quota * HEADROOM,
+    warn: (after / status.quota) * 100 >= getSetting("storage.warnPercent"),
+    status
+  };
+}
+
+// Deletes unpinned snaps that break a rule, oldest first.
+// reserveBytes: room to make under the max-MB rule for the snap about to be saved.
+// sizeOnly: just the max-MB rule (before a write; the others run once the snap is in).
+// -> { deleted, freedBytes }
+export async function applyRetention({ reserveBytes = 0, sizeOnly = false } = {}) {
+  const keepLast = sizeOnly ? 0 : getSetting("storage.keepLast");
+  const maxBytes = getSetting("storage.maxMB") * MB;
+  const maxAgeDays = sizeOnly ? 0 : getSetting("storage.maxAgeDays");
+  if (!keepLast && !maxBytes && !maxAgeDays) return { deleted: 0, freedBytes: 0 };
+
+  const stats = await listSnapStats();   // oldest first
+  const doomed = new Set();
+
+  if (maxAgeDays) {
+    const cutoff = Date.now() - maxAgeDays * DAY_MS;
+    for (const s of stats) if (!s.pinned && s.ts < cutoff) doomed.add(s.id);
+  }
+
+  if (keepLast) {
+    const unpinned = stats.filter(s => !s.pinned);
+    const excess = Math.max(0, unpinned.length - keepLast);
+    for (const s of unpinned.slice(0, excess)) doomed.add(s.id);
+  }
+
+  if (maxBytes) {
+    let total = reserveBytes + stats.reduce((n, s) => n + (doomed.has(s.id) ? 0 : s.bytes), 0);
+    for (const s of stats) {
+      if (total <= maxBytes) break;
+      if (s.pinned || doomed.has(s.id)) continue;
+      doomed.add(s.id);
+      total -= s.bytes;
+    }
+  }
+
+  const ids = [...doomed];
+  const freedBytes = stats.reduce((n, s) => n + (doomed.has(s.id) ? s.bytes : 0), 0);
+  await deleteSnaps(ids);
+  return { deleted: ids.length, freedBytes };
+}
+
+export function formatBytes(n) {
+  if (n == null) return "?";
+  if (n < 1024) return `${n} B`;
+  if (n < MB) return `${(n / 1024).toFixed(0)} KB`;
+  if (n < 1024 * MB) return `${(n / MB).toFixed(1)} MB`;
+  return `${(n / (1024 * MB)).toFixed(2)} GB`;
+}
@@ -0,0 +1,143 @@
+// HUD clip recorder
+// - Composites the camera <video> (cover-fitted exactly like the screen) and the
+//   #overlay canvas (boxes, labels, cursor) into one canvas every animation frame;
+//   while frozen, the #still layer stands in for the video
+// - canvas.captureStream() -> MediaRecorder with the first supported container/codec
+// - Output is capped at MAX_SIDE on the long edge to keep encoders happy on phones
+
+import { coverTransform } from "./vision.js";
+
+const MAX_SIDE = 1280;
+const FPS = 30;
+const BITRATE = 4_000_000;
+
+// Preference order: MP4/H.264 plays everywhere (Safari records only this), then WebM
+const MIME_CANDIDATES = [
+  "video/mp4;codecs=avc1",
+  "video/mp4",
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm"
+];
+
+export function pickRecorderMime() {
+  if (typeof MediaRecorder === "undefined") return null;
+  if (typeof MediaRecorder.isTypeSupported !== "function") return "";   // let the browser choose
+  return MIME_CANDIDATES.find(m => MediaRecorder.isTypeSupported(m)) ?? null;
+}
+
+export function canRecord() {
+  return pickRecorderMime() !== null && typeof HTMLCanvasElement.prototype.captureStream === "function";
+}
+
+// -> { start(), stop(): Promise<{ blob, poster, mime, durationMs, width, height }>, recording, elapsedMs }
+// onError(error): the recorder died mid-clip (encoder error, track lost); it has already
+// torn itself down and stop() resolves null
+export function createRecorder({ video, overlay, still = null, onError = () => {} }) {
+  const mime = pickRecorderMime();
+  if (mime === null) throw new Error("Recording isn't supported in this browser");
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  let rec = null;
+  let raf = 0;
+  let chunks = [];
+  let startedAt = 0;
+  let poster = null;
+  let srcW = 0, srcH = 0;
+
+  function size() {
+    srcW = overlay.width;
+    srcH = overlay.height;
+    const k = Math.min(1, MAX_SIDE / Math.max(overlay.width, overlay.height));
+    // Even dimensions: H.264 encoders reject odd sizes
+    canvas.width = Math.max(2, Math.round(overlay.width * k / 2) * 2);
+    canvas.height = Math.max(2, Math.round(overlay.height * k / 2) * 2);
+  }
+
+  function draw() {
+    if (overlay.width !== srcW || overlay.height !== srcH) size();   // rotation / resize
+    const k = canvas.width / overlay.width;
+    const t = coverTransform(overlay, video);
+
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (still && !still.classList.contains("hidden")) {
+      ctx.drawImage(still, 0, 0, canvas.width, canvas.height);   // already screen-sized and cover-fitted
+    } else if (video.readyState >= 2) {
+      ctx.drawImage(video, t.offsetX * k, t.offsetY * k, t.vw * t.scale * k, t.vh * t.scale * k);
+    }
+    ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+
+    raf = requestAnimationFrame(draw);
+  }
+
+  function start() {
+    if (rec) return;
+    size();
+    draw();
+
+    let stream = null;
+    try {
+      stream = canvas.captureStream(FPS);
+      rec = new MediaRecorder(stream, { ...(mime ? { mimeType: mime } : {}), videoBitsPerSecond: BITRATE });
+      chunks = [];
+      rec.ondataavailable = (e) => { if (e.data?.size) chunks.push(e.data); };
+      rec.onerror = (e) => fail(e.error || new Error("Recording failed"));
+      rec.start(1000);
+    } catch (e) {
+      // Don't leave the compositing loop running for a recorder that never started
+      cancelAnimationFrame(raf);
+      stream?.getTracks().forEach(t => t.stop());
+      rec = null;
+      throw e;
+    }
+    startedAt = performance.now();
+
+    // Poster frame for the gallery
+    poster = new Promise((res) => setTimeout(() => canvas.toBlob(res, "image/jpeg", 0.8), 150));
+  }
+
+  function fail(error) {
+    if (!rec) return;
+    cancelAnimationFrame(raf);
+    rec.stream.getTracks().forEach(t => t.stop());
+    rec = null;
+    chunks = [];
+    onError(error);
+  }
+
+  function stop() {
+    if (!rec) return Promise.resolve(null);
+    const r = rec;
+    rec = null;
+
+    return new Promise((resolve, reject) => {
+      r.onstop = async () => {
+        cancelAnimationFrame(raf);
+        r.stream.getTracks().forEach(t => t.stop());
+        // Container type only: "video/webm;codecs=vp9" -> "video/webm"
+        const type = (r.mimeType || mime || "video/webm").split(";")[0];
+        resolve({
+          blob: new Blob(chunks, { type }),
+          poster: await poster,
+          mime: r.mimeType || type,
+          durationMs: Math.round(performance.now() - startedAt),
+          width: canvas.width,
+          height: canvas.height
+        });
+        chunks = [];
+      };
+      r.onerror = (e) => reject(e.error || new Error("Recording failed"));
+      r.stop();
+    });
+  }
+
+  return {
+    start,
+    stop,
+    get recording() { return !!rec; },
+    get elapsedMs() { return rec ? performance.now() - startedAt : 0; }
+  };
+}
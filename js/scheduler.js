@@ -0,0 +1,150 @@
+// Frame-synchronized, adaptive AI scheduler
+// - Ticks on requestVideoFrameCallback (new camera frames only), rAF as fallback
+// - Aims for `targetFps`, backs off when inference latency exceeds the frame budget
+// - Slows further when the tab is hidden or the battery is low (and not charging)
+// - Reports true rolling throughput + latency through onStats({ fps, latency, intervalMs })
+//
+// `run(meta)` does one detection pass; return false when nothing ran (e.g. frozen)
+// so the pass isn't counted as throughput.
+
+const WINDOW_MS = 2000;       // throughput window
+const LATENCY_SAMPLES = 12;
+const BACKOFF = 1.25;         // interval = latency * BACKOFF when over budget
+const HIDDEN_FPS = 1;
+const LOW_BATTERY_LEVEL = 0.2;
+
+export function createAiScheduler({ video, run, targetFps = 8, onStats = () => {} }) {
+  let running = false;
+  let busy = false;
+  let handle = null;            // { kind, id }
+  let lastStart = -Infinity;
+
+  let hidden = typeof document !== "undefined" && document.hidden;
+  let lowBattery = false;
+  let battery = null;
+
+  const completions = [];       // perf timestamps
+  const latencies = [];
+
+  const hasRVFC = typeof video?.requestVideoFrameCallback === "function";
+
+  function intervalMs() {
+    let fps = targetFps;
+    if (lowBattery) fps = Math.min(fps, targetFps / 2);
+    if (hidden) fps = Math.min(fps, HIDDEN_FPS);
+    const budget = 1000 / Math.max(0.1, fps);
+    const lat = avgLatency();
+    return lat > budget ? lat * BACKOFF : budget;
+  }
+
+  function avgLatency() {
+    if (!latencies.length) return 0;
+    return latencies.reduce((a, b) => a + b, 0) / latencies.length;
+  }
+
+  function schedule() {
+    if (!running || handle) return;
+    // Hidden tabs get no video frames / rAF: fall back to a slow timer
+    if (hidden) {
+      handle = { kind: "timeout", id: setTimeout(() => tick(performance.now()), intervalMs()) };
+    } else if (hasRVFC) {
+      handle = { kind: "rvfc", id: video.requestVideoFrameCallback((now, meta) => tick(now, meta)) };
+    } else {
+      handle = { kind: "raf", id: requestAnimationFrame((now) => tick(now)) };
+    }
+  }
+
+  function cancel() {
+    if (!handle) return;
+    if (handle.kind === "timeout") clearTimeout(handle.id);
+    if (handle.kind === "rvfc") video.cancelVideoFrameCallback?.(handle.id);
+    if (handle.kind === "raf") cancelAnimationFrame(handle.id);
+    handle = null;
+  }
+
+  async function tick(now, meta) {
+    handle = null;
+    if (!running) return;
+
+    if (busy || now - lastStart < intervalMs()) {
+      schedule();
+      return;
+    }
+
+    busy = true;
+    lastStart = now;
+    const t0 = performance.now();
+    let counted = false;
+    try {
+      counted = (await run(meta)) !== false;
+    } catch (e) {
+      console.warn("AI tick failed:", e);
+    }
+    const t1 = performance.now();
+    busy = false;
+
+    if (counted && running) {
+      latencies.push(t1 - t0);
+      if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+      completions.push(t1);
+      onStats(stats());
+    }
+    schedule();
+  }
+
+  function stats() {
+    const now = performance.now();
+    while (completions.length && now - completions[0] > WINDOW_MS) completions.shift();
+
+    // Throughput over the actual span covered, not the full window, so it settles fast
+    const span = completions.length > 1 ? (completions[completions.length - 1] - completions[0]) : 0;
+    const fps = span > 0 ? ((completions.length - 1) * 1000) / span : 0;
+
+    return { fps, latency: avgLatency(), intervalMs: intervalMs(), hidden, lowBattery };
+  }
+
+  function onVisibility() {
+    hidden = document.hidden;
+    if (!busy) { cancel(); schedule(); }
+  }
+
+  function onBattery() {
+    lowBattery = !!battery && !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      document.addEventListener("visibilitychange", onVisibility);
+      navigator.getBattery?.().then((b) => {
+        if (!running) return;
+        battery = b;
+        battery.addEventListener("levelchange", onBattery);
+        battery.addEventListener("chargingchange", onBattery);
+        onBattery();
+      }).catch(() => {});
+      schedule();
+    },
+
+    stop() {
+      running = false;
+      cancel();
+      document.removeEventListener("visibilitychange", onVisibility);
+      if (battery) {
+        battery.removeEventListener("levelchange", onBattery);
+        battery.removeEventListener("chargingchange", onBattery);
+        battery = null;
+      }
+      completions.length = 0;
+      latencies.length = 0;
+    },
+
+    setTargetFps(fps) {
+      targetFps = Math.max(0.5, Number(fps) || targetFps);
+    },
+
+    get running() { return running; },
+    stats
+  };
+}
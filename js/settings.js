@@ -0,0 +1,271 @@
+// Typed, persisted settings store
+// - SCHEMA lists every key with its type, default and bounds (also drives the Settings panel)
+// - Values are validated/clamped on read from storage and on every set
+// - Stored as { version, values } — MIGRATIONS upgrade older payloads step by step
+// - onSettingChange() lets modules react at runtime without a reload
+
+const SETTINGS_KEY = "pvh_settings";
+const SCHEMA_VERSION = 2;
+
+export const SCHEMA = {
+  "ai.targetFps": {
+    type: "enum", default: 8, options: [2, 4, 8, 12, 15, 24],
+    group: "AI", label: "Detection rate (fps target)"
+  },
+  "ai.freezeRedetect": {
+    type: "boolean", default: true,
+    group: "AI", label: "Re-detect the frozen frame at full resolution"
+  },
+
+  // Camera (camera.js); per-device controls like zoom / torch are kept by camera.js itself
+  "camera.deviceId": {
+    type: "string", default: "", hidden: true,
+    group: "Camera", label: "Camera device (empty = by facing)"
+  },
+  "camera.facing": {
+    type: "string", default: "environment", options: ["environment", "user"],
+    group: "Camera", label: "Camera facing (when no device is chosen)"
+  },
+  "camera.resolution": {
+    type: "string", default: "1080p", options: ["480p", "720p", "1080p", "4k"],
+    group: "Camera", label: "Resolution"
+  },
+  "camera.frameRate": {
+    type: "enum", default: 0, options: [0, 15, 24, 30, 60],
+    group: "Camera", label: "Frame rate (0 = camera default)"
+  },
+
+  "gestures.pinchRatio": {
+    type: "number", default: 0.35, min: 0.1, max: 0.9, step: 0.01,
+    group: "Gestures", label: "Pinch threshold (× palm width, smaller = stricter)"
+  },
+  "gestures.pinchReleaseRatio": {
+    type: "number", default: 1.3, min: 1, max: 2, step: 0.05,
+    group: "Gestures", label: "Pinch release (× threshold, hysteresis)"
+  },
+  "gestures.pinchMaxSpeed": {
+    type: "number", default: 1.5, min: 0.2, max: 10, step: 0.1,
+    group: "Gestures", label: "Pinch start max fingertip speed (normalized image units/s)"
+  },
+  "gestures.handedness": {
+    type: "string", default: "auto", options: ["auto", "Left", "Right"],
+    group: "Gestures", label: "Preferred hand"
+  },
+  "gestures.calibrated": {
+    type: "boolean", default: false, hidden: true,
+    group: "Gestures", label: "Calibrated"
+  },
+  "gestures.cursorIntervalMs": {
+    type: "number", default: 45, min: 16, max: 200, step: 1,
+    group: "Gestures", label: "Cursor update interval (ms)"
+  },
+  "gestures.smoothing": {
+    type: "boolean", default: true,
+    group: "Gestures", label: "Cursor smoothing (One Euro)"
+  },
+  "gestures.smoothMinCutoff": {
+    type: "number", default: 1.2, min: 0.1, max: 10, step: 0.1,
+    group: "Gestures", label: "Smoothing min cutoff (Hz, lower = steadier)"
+  },
+  "gestures.smoothBeta": {
+    type: "number", default: 8, min: 0, max: 50, step: 0.5,
+    group: "Gestures", label: "Smoothing speed response (higher = less lag)"
+  },
+  "gestures.frameHoldMs": {
+    type: "number", default: 700, min: 200, max: 3000, step: 50,
+    group: "Gestures", label: "Two-hand frame hold to capture (ms)"
+  },
+
+  "selection.radiusPx": {
+    type: "number", default: 150, min: 40, max: 400, step: 10,
+    group: "Selection", label: "Cursor select radius (px)"
+  },
+  "selection.dwellMs": {
+    type: "number", default: 0, min: 0, max: 1500, step: 50,
+    group: "Selection", label: "Dwell to confirm selection / wheel item (ms, 0 = off)"
+  },
+
+  "capture.cropSize": {
+    type: "number", default: 900, min: 256, max: 2048, step: 32,
+    group: "Capture", label: "Snapshot size (px)"
+  },
+  "capture.jpegQuality": {
+    type: "number", default: 0.92, min: 0.5, max: 1, step: 0.01,
+    group: "Capture", label: "JPEG quality"
+  },
+  "capture.boxPadding": {
+    type: "number", default: 0.18, min: 0, max: 0.6, step: 0.01,
+    group: "Capture", label: "Padding around detection box"
+  },
+  "capture.tapCropFraction": {
+    type: "number", default: 0.26, min: 0.1, max: 1, step: 0.01,
+    group: "Capture", label: "Tap-snap crop (fraction of short side)"
+  },
+  "capture.keepFrame": {
+    type: "boolean", default: true,
+    group: "Capture", label: "Keep full frame + all boxes (crop editor, dataset export)"
+  },
+  "capture.annotate": {
+    type: "boolean", default: false,
+    group: "Capture", label: "Annotated snaps: bake boxes + caption in (raw kept too)"
+  },
+  "capture.burstFrames": {
+    type: "number", default: 8, min: 2, max: 30, step: 1,
+    group: "Capture", label: "Burst: frames (sharpest is kept)"
+  },
+  "capture.burstGapMs": {
+    type: "number", default: 60, min: 0, max: 1000, step: 10,
+    group: "Capture", label: "Burst: gap between frames (ms)"
+  },
+  "capture.intervalSec": {
+    type: "number", default: 5, min: 1, max: 3600, step: 1,
+    group: "Capture", label: "Interval: seconds between snaps"
+  },
+
+  // Retention rules (quota.js); 0 = rule off. Pinned snaps are never pruned.
+  "storage.keepLast": {
+    type: "number", default: 0, min: 0, max: 10000, step: 10,
+    group: "Storage", label: "Keep last N snaps (0 = all)"
+  },
+  "storage.maxMB": {
+    type: "number", default: 0, min: 0, max: 20000, step: 50,
+    group: "Storage", label: "Max gallery size (MB, 0 = no limit)"
+  },
+  "storage.maxAgeDays": {
+    type: "number", default: 0, min: 0, max: 3650, step: 1,
+    group: "Storage", label: "Delete snaps older than (days, 0 = never)"
+  },
+  "storage.warnPercent": {
+    type: "number", default: 85, min: 50, max: 99, step: 1,
+    group: "Storage", label: "Warn when quota use exceeds (%)"
+  }
+};
+
+// MIGRATIONS[n] upgrades a version n-1 payload's values to version n
+const MIGRATIONS = {
+  // v0 = loose localStorage keys from before the store existed
+  1(values) {
+    const fps = Number(safeGet("pvh_ai_fps"));
+    if (fps) values["ai.targetFps"] = fps;
+    safeRemove("pvh_ai_fps");
+    return values;
+  },
+
+  // Pinch went from an absolute image-space distance to a ratio of palm width
+  2(values) {
+    const d = Number(values["gestures.pinchDist"]);
+    if (d && d !== 0.06) values["gestures.pinchRatio"] = d / 0.17;  // ~typical palm width
+    delete values["gestures.pinchDist"];
+    return values;
+  }
+};
+
+const listeners = new Map();   // key | "*" -> Set<fn>
+let values = load();
+
+export function getSetting(key) {
+  if (!(key in SCHEMA)) throw new Error(`Unknown setting: ${key}`);
+  return values[key];
+}
+
+export function getAllSettings() {
+  return { ...values };
+}
+
+// Returns the value actually stored (after validation)
+export function setSetting(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec) throw new Error(`Unknown setting: ${key}`);
+
+  const next = coerce(spec, value);
+  if (Object.is(next, values[key])) return next;
+
+  const prev = values[key];
+  values = { ...values, [key]: next };
+  save();
+  emit(key, next, prev);
+  return next;
+}
+
+export function resetSettings(group = null) {
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (group && spec.group !== group) continue;
+    setSetting(key, spec.default);
+  }
+}
+
+// fn(value, prev, key). key "*" = every change. Returns an unsubscribe function.
+export function onSettingChange(key, fn) {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(fn);
+  return () => listeners.get(key)?.delete(fn);
+}
+
+function emit(key, value, prev) {
+  for (const k of [key, "*"]) {
+    for (const fn of listeners.get(k) || []) {
+      try { fn(value, prev, key); } catch (e) { console.warn("Setting listener failed:", e); }
+    }
+  }
+}
+
+function coerce(spec, value) {
+  if (spec.type === "boolean") return typeof value === "boolean" ? value : value === "true" ? true : value === "false" ? false : spec.default;
+
+  if (spec.type === "string") {
+    if (typeof value !== "string") return spec.default;
+    return spec.options && !spec.options.includes(value) ? spec.default : value;
+  }
+
+  if (spec.type === "enum") {
+    const hit = spec.options.find(o => String(o) === String(value));
+    return hit === undefined ? spec.default : hit;
+  }
+
+  // number
+  let n = Number(value);
+  if (value === null || value === "" || !Number.isFinite(n)) return spec.default;
+  if (spec.min !== undefined) n = Math.max(spec.min, n);
+  if (spec.max !== undefined) n = Math.min(spec.max, n);
+  if (spec.step) n = Number((Math.round(n / spec.step) * spec.step).toFixed(6));
+  return n;
+}
+
+function load() {
+  let stored = null;
+  try { stored = JSON.parse(safeGet(SETTINGS_KEY) || "null"); } catch {}
+
+  let version = Number(stored?.version) || 0;
+  let raw = stored?.values && typeof stored.values === "object" ? { ...stored.values } : {};
+
+  const migrated = version < SCHEMA_VERSION;
+  while (version < SCHEMA_VERSION) {
+    version += 1;
+    raw = MIGRATIONS[version]?.(raw) ?? raw;
+  }
+
+  // Unknown keys are dropped, missing ones get defaults
+  const out = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    out[key] = key in raw ? coerce(spec, raw[key]) : spec.default;
+  }
+
+  if (migrated) persist(out);
+  return out;
+}
+
+function save() {
+  persist(values);
+}
+
+function persist(v) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ version: SCHEMA_VERSION, values: v })); } catch {}
+}
+
+function safeGet(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+function safeRemove(key) {
+  try { localStorage.removeItem(key); } catch {}
+}
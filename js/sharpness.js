@@ -0,0 +1,49 @@
+// Blur metric for burst capture: variance of the Laplacian
+// - Grayscale, downscaled copy of the region (speed + noise robustness)
+// - 4-neighbour Laplacian; sharp edges -> large responses -> high variance
+// Only comparable between frames of the same scene/region (it's not an absolute score).
+
+let scratch = null;
+
+// source: canvas / video / bitmap. region: { x, y, w, h } in source pixels (default: all)
+export function laplacianVariance(source, region = null, maxSide = 256) {
+  const sw = source.videoWidth || source.width;
+  const sh = source.videoHeight || source.height;
+  const r = region || { x: 0, y: 0, w: sw, h: sh };
+
+  const k = Math.min(1, maxSide / Math.max(r.w, r.h));
+  const w = Math.max(3, Math.round(r.w * k));
+  const h = Math.max(3, Math.round(r.h * k));
+
+  if (!scratch) {
+    scratch = typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(w, h)
+      : document.createElement("canvas");
+  }
+  scratch.width = w;
+  scratch.height = h;
+  const ctx = scratch.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, r.x, r.y, r.w, r.h, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const gray = new Float32Array(w * h);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const lap = gray[i - w] + gray[i + w] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n += 1;
+    }
+  }
+  if (!n) return 0;
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+}
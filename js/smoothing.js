@@ -0,0 +1,51 @@
+// One Euro filter (Casiez et al. 2012) — adaptive low-pass for noisy pointer input
+// - Slow movement: low cutoff, heavy smoothing (kills jitter)
+// - Fast movement: cutoff rises with speed (keeps lag low)
+// Parameters are read through getParams() on every sample so settings apply live.
+
+export function createOneEuroFilter(getParams) {
+  let prev = null;      // { t, x, dx }
+
+  function alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  return {
+    // value at time tMs -> smoothed value
+    filter(value, tMs) {
+      const { minCutoff, beta, dCutoff = 1 } = getParams();
+      if (!prev) {
+        prev = { t: tMs, x: value, dx: 0 };
+        return value;
+      }
+
+      const dt = Math.max(1e-3, (tMs - prev.t) / 1000);
+      const dxRaw = (value - prev.x) / dt;
+      const dx = prev.dx + alpha(dCutoff, dt) * (dxRaw - prev.dx);
+      const cutoff = minCutoff + beta * Math.abs(dx);
+      const x = prev.x + alpha(cutoff, dt) * (value - prev.x);
+
+      prev = { t: tMs, x, dx };
+      return x;
+    },
+
+    // Smoothed rate of change (units / second)
+    get speed() { return prev ? Math.abs(prev.dx) : 0; },
+
+    reset() { prev = null; }
+  };
+}
+
+// Convenience: one filter per axis for a 2D point
+export function createPointFilter(getParams) {
+  const fx = createOneEuroFilter(getParams);
+  const fy = createOneEuroFilter(getParams);
+  return {
+    filter(x, y, tMs) {
+      return { x: fx.filter(x, tMs), y: fy.filter(y, tMs) };
+    },
+    get speed() { return Math.hypot(fx.speed, fy.speed); },
+    reset() { fx.reset(); fy.reset(); }
+  };
+}
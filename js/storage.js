@@ -1,70 +1,465 @@
 const DB_NAME = "spatial_hud_db";
-const DB_VER = 1;
-const STORE = "snaps";
+const DB_VER = 4;
+const STORE = "snaps";          // { id, ts, kind, blob, annotated, meta, title, notes, tags, pinned, source }
+                                // blob: full-size original (raw crop); annotated: optional report variant
+                                // kind: "image" | "clip" (recorded video; missing = image)
+                                // edit: { crop, rotation, aspect } crop-editor state; original: { blob, annotated }
+                                //   capture-time images, kept from the first edit on (revertSnapEdit)
+                                // source: { blob, width, height, boxes } full frame, optional
+const THUMBS = "thumbs";        // { id, blob }             small JPEG for the gallery
 
+const THUMB_SIZE = 240;
+const THUMB_QUALITY = 0.8;
+
+// v1 -> v2: base64 `dataUrl` strings become Blobs; thumbnails get their own store.
+// The upgrade transaction can't await image decoding, so thumbs for migrated
+// records are backfilled lazily by querySnaps().
+// v3: "label" index on [meta.label, ts] — per-label lookups that stay in time order.
+// Records without a label (region snaps) simply aren't in it.
+// v4: user annotations (title, notes, tags[]) with a multi-entry "tags" index.
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VER);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (e) => {
       const db = req.result;
+      const tx = req.transaction;
+
       if (!db.objectStoreNames.contains(STORE)) {
         const s = db.createObjectStore(STORE, { keyPath: "id" });
         s.createIndex("ts", "ts");
       }
+      if (!db.objectStoreNames.contains(THUMBS)) {
+        db.createObjectStore(THUMBS, { keyPath: "id" });
+      }
+      const snaps = tx.objectStore(STORE);
+      if (!snaps.indexNames.contains("label")) {
+        snaps.createIndex("label", ["meta.label", "ts"]);
+      }
+      if (!snaps.indexNames.contains("tags")) {
+        snaps.createIndex("tags", "tags", { multiEntry: true });
+      }
+
+      if (e.oldVersion >= 1 && e.oldVersion < 2) {
+        const cur = tx.objectStore(STORE).openCursor();
+        cur.onsuccess = () => {
+          const c = cur.result;
+          if (!c) return;
+          const v = c.value;
+          if (typeof v.dataUrl === "string" && !v.blob) {
+            const { dataUrl, ...rest } = v;
+            c.update({ ...rest, blob: dataUrlToBlob(dataUrl) });
+          }
+          c.continue();
+        };
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-export async function saveSnap({ dataUrl, meta }) {
+// thumb: precomputed gallery image (clips pass their poster frame)
+// The gallery thumbnail shows the annotated variant when there is one.
+export async function saveSnap({ blob, dataUrl, meta, source = null, annotated = null, kind = "image", thumb = null }) {
+  const original = blob || dataUrlToBlob(dataUrl);
+  // Thumbnail first: a transaction would auto-commit while we await the decode
+  if (!thumb) thumb = kind === "image" ? await makeThumb(annotated || original) : null;
+
   const db = await openDB();
-  const tx = db.transaction(STORE, "readwrite");
-  const store = tx.objectStore(STORE);
+  const tx = db.transaction([STORE, THUMBS], "readwrite");
 
   const id = crypto.randomUUID();
-  const item = { id, ts: Date.now(), dataUrl, meta };
-  store.put(item);
+  const item = {
+    id, ts: Date.now(), kind, blob: original, annotated, meta,
+    title: "", notes: "", tags: [], pinned: false, source
+  };
+  tx.objectStore(STORE).put(item);
+  if (thumb) tx.objectStore(THUMBS).put({ id, blob: thumb });
 
-  await new Promise((res, rej) => {
-    tx.oncomplete = () => res();
-    tx.onerror = () => rej(tx.error);
-    tx.onabort = () => rej(tx.error);
+  await txDone(tx);
+  db.close();
+  return item;
+}
+
+// Newest first. Items are { id, ts, meta, thumbUrl } — thumbUrl is an object URL
+// created through `urls` (see createUrlScope) so the caller can revoke them.
+export async function listSnaps(limit = 60, urls = createUrlScope()) {
+  const { items } = await querySnaps({ limit }, urls);
+  return items;
+}
+
+// One page of snapshots.
+//   label     exact meta.label (uses the label index)
+//   tag       snaps carrying this tag (tags index, then filtered in time order)
+//   from, to  ts bounds in ms, inclusive
+//   minScore  0..1 against meta.score; unscored snaps drop out when > 0
+//   order     "newest" | "oldest"
+//   after     the `next` cursor of the previous page
+// Returns { items, next }; next is null once the range is exhausted.
+export async function querySnaps(
+  { label = "", tag = "", from = null, to = null, minScore = 0, order = "newest", limit = 30, after = null } = {},
+  urls = createUrlScope()
+) {
+  const dir = order === "oldest" ? "next" : "prev";
+  const lo = from ?? 0;
+  const hi = to ?? Infinity;
+
+  let lower = label ? [label, lo] : lo;
+  let upper = label ? [label, hi] : hi;
+  // Resume at the previous page's last key; equal keys are sorted by id, see below
+  if (after) {
+    if (dir === "prev") upper = after.key;
+    else lower = after.key;
+  }
+  if (indexedDB.cmp(lower, upper) > 0) return { items: [], next: null };
+
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readonly");
+  const store = tx.objectStore(STORE);
+  const thumbs = tx.objectStore(THUMBS);
+  const idx = store.index(label ? "label" : "ts");
+  const tagged = tag ? new Set(await reqDone(store.index("tags").getAllKeys(IDBKeyRange.only(tag)))) : null;
+
+  const rows = [];
+  const thumbReqs = [];
+  let more = false;
+  await new Promise((resolve, reject) => {
+    const req = idx.openCursor(IDBKeyRange.bound(lower, upper), dir);
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      if (rows.length >= limit) { more = true; return resolve(); }
+
+      // Same key as the resume point: skip ids the previous page already returned
+      if (after && indexedDB.cmp(cur.key, after.key) === 0) {
+        const c = indexedDB.cmp(cur.primaryKey, after.id);
+        if (dir === "prev" ? c >= 0 : c <= 0) return cur.continue();
+      }
+
+      // Rows carry no image data; source keeps its boxes but not the frame
+      const { blob, annotated, source, original, ...rec } = cur.value;
+      const scoreOk = !minScore || (rec.meta?.score ?? 0) >= minScore;
+      if (scoreOk && (!tagged || tagged.has(rec.id))) {
+        rows.push({
+          ...rec, hasAnnotated: !!annotated, edited: !!original,
+          source: source ? { ...source, blob: null } : null, key: cur.key
+        });
+        thumbReqs.push(reqDone(thumbs.get(rec.id)));
+      }
+      cur.continue();
+    };
+    req.onerror = () => reject(req.error);
   });
 
+  const thumbBlobs = await Promise.all(thumbReqs);
   db.close();
-  return item;
+
+  // Backfill thumbnails for records migrated from v1. Clips can't be decoded into a
+  // bitmap here; their poster is written on save / import or not at all.
+  const filled = new Map();
+  for (const [i, r] of rows.entries()) {
+    if (!thumbBlobs[i] && r.kind !== "clip") filled.set(r.id, await backfillThumb(r.id));
+  }
+
+  const last = rows[rows.length - 1];
+  return {
+    items: rows.map(({ key, ...r }, i) => {
+      const blob = thumbBlobs[i]?.blob || filled.get(r.id) || null;
+      return { ...r, thumbUrl: blob ? urls.url(blob) : "" };
+    }),
+    next: more && last ? { key: last.key, id: last.id } : null
+  };
 }
 
-export async function listSnaps(limit = 60) {
+// Distinct labels, alphabetical (walks the label index one label at a time)
+export async function listSnapLabels() {
   const db = await openDB();
   const tx = db.transaction(STORE, "readonly");
-  const store = tx.objectStore(STORE);
-  const idx = store.index("ts");
+  const labels = [];
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(STORE).index("label").openKeyCursor();
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve();
+      const label = cur.key[0];
+      labels.push(label);
+      // Arrays sort after numbers, so [label, []] is past every ts of this label
+      cur.continue([label, []]);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  db.close();
+  return labels;
+}
 
-  const items = [];
+// Distinct tags, alphabetical
+export async function listSnapTags() {
+  const db = await openDB();
+  const tx = db.transaction(STORE, "readonly");
+  const tags = [];
   await new Promise((resolve, reject) => {
-    const req = idx.openCursor(null, "prev");
+    const req = tx.objectStore(STORE).index("tags").openKeyCursor(null, "nextunique");
     req.onsuccess = () => {
       const cur = req.result;
-      if (!cur || items.length >= limit) return resolve();
-      items.push(cur.value);
+      if (!cur) return resolve();
+      tags.push(cur.key);
       cur.continue();
     };
     req.onerror = () => reject(req.error);
   });
+  db.close();
+  return tags;
+}
 
+// Full record { id, ts, kind, blob, annotated, meta, title, notes, tags, pinned, source } or null
+export async function getSnap(id) {
+  const db = await openDB();
+  const tx = db.transaction(STORE, "readonly");
+  const item = await reqDone(tx.objectStore(STORE).get(id));
   db.close();
-  return items;
+  return item || null;
 }
 
-export async function deleteSnap(id) {
+// Gallery thumbnail / clip poster blob, or null
+export async function getThumb(id) {
+  const db = await openDB();
+  const tx = db.transaction(THUMBS, "readonly");
+  const item = await reqDone(tx.objectStore(THUMBS).get(id));
+  db.close();
+  return item?.blob || null;
+}
+
+// Every full record, oldest first (export). Holds all originals in memory at once.
+export async function getAllSnaps() {
+  const db = await openDB();
+  const tx = db.transaction(STORE, "readonly");
+  const all = await reqDone(tx.objectStore(STORE).index("ts").getAll());
+  db.close();
+  return all;
+}
+
+// Add records that aren't in the DB yet; existing ids are left untouched.
+// A record's `thumb` (clip poster) is stored as its thumbnail; image thumbnails are
+// backfilled by querySnaps() the first time the gallery shows them.
+export async function importSnaps(records) {
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readwrite");
+  const store = tx.objectStore(STORE);
+
+  const existing = await Promise.all(records.map(r => reqDone(store.getKey(r.id))));
+  let added = 0;
+  records.forEach(({ thumb, ...r }, i) => {
+    if (existing[i] !== undefined) return;
+    store.put({ title: "", notes: "", tags: [], pinned: false, meta: null, ...r, tags: normalizeTags(r.tags || []) });
+    if (thumb) tx.objectStore(THUMBS).put({ id: r.id, blob: thumb });
+    added += 1;
+  });
+
+  await txDone(tx);
+  db.close();
+  return { added, skipped: records.length - added };
+}
+
+// Edit the user-facing fields of a snap; returns the updated record (null if gone)
+export async function updateSnap(id, { title, notes, tags, pinned } = {}) {
   const db = await openDB();
   const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const item = await reqDone(store.get(id));
+  if (!item) {
+    db.close();
+    return null;
+  }
+
+  if (title !== undefined) item.title = String(title).trim();
+  if (notes !== undefined) item.notes = String(notes);
+  if (tags !== undefined) item.tags = normalizeTags(tags);
+  if (pinned !== undefined) item.pinned = !!pinned;
+  store.put(item);
+
+  await txDone(tx);
+  db.close();
+  return item;
+}
+
+// "Field Trip, birds, Birds " -> ["field trip", "birds"]; arrays are cleaned the same way
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+  return [...new Set(list.map(t => String(t).trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean))];
+}
+
+// Replace the displayed image with a crop-editor render. The capture-time images
+// move to `original` on the first edit, so revertSnapEdit() can always restore them.
+export async function saveSnapEdit(id, { blob, annotated = null, edit }) {
+  const thumb = await makeThumb(annotated || blob);
+  return replaceImages(id, thumb, (item) => {
+    if (!item.original) item.original = { blob: item.blob, annotated: item.annotated ?? null };
+    item.blob = blob;
+    item.annotated = annotated;
+    item.edit = edit;
+  });
+}
+
+export async function revertSnapEdit(id) {
+  const current = await getSnap(id);
+  if (!current?.original) return current;
+  const thumb = await makeThumb(current.original.annotated || current.original.blob);
+  return replaceImages(id, thumb, (item) => {
+    if (!item.original) return;
+    item.blob = item.original.blob;
+    item.annotated = item.original.annotated;
+    delete item.original;
+    delete item.edit;
+  });
+}
+
+async function replaceImages(id, thumb, mutate) {
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readwrite");
+  const store = tx.objectStore(STORE);
+  const item = await reqDone(store.get(id));
+  if (!item) {
+    db.close();
+    return null;
+  }
+  mutate(item);
+  store.put(item);
+  if (thumb) tx.objectStore(THUMBS).put({ id, blob: thumb });
+  await txDone(tx);
+  db.close();
+  return item;
+}
+
+// Size/age summary for retention: [{ id, ts, pinned, bytes }], oldest first.
+// Blob sizes are known without reading the data.
+export async function listSnapStats() {
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readonly");
+  const thumbs = tx.objectStore(THUMBS);
+  const out = [];
+  const thumbSizes = new Map();
+
+  await Promise.all([
+    new Promise((resolve, reject) => {
+      const req = tx.objectStore(STORE).index("ts").openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return resolve();
+        const v = cur.value;
+        const bytes = (v.blob?.size || 0) + (v.annotated?.size || 0) + (v.source?.blob?.size || 0) +
+          (v.original?.blob?.size || 0) + (v.original?.annotated?.size || 0);
+        out.push({ id: v.id, ts: v.ts, pinned: !!v.pinned, bytes });
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    }),
+    new Promise((resolve, reject) => {
+      const req = thumbs.openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return resolve();
+        thumbSizes.set(cur.key, cur.value.blob?.size || 0);
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    })
+  ]);
+  db.close();
+
+  for (const r of out) r.bytes += thumbSizes.get(r.id) || 0;
+  return out;
+}
+
+export async function deleteSnaps(ids) {
+  if (!ids.length) return;
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readwrite");
+  for (const id of ids) {
+    tx.objectStore(STORE).delete(id);
+    tx.objectStore(THUMBS).delete(id);
+  }
+  await txDone(tx);
+  db.close();
+}
+
+export async function deleteSnap(id) {
+  const db = await openDB();
+  const tx = db.transaction([STORE, THUMBS], "readwrite");
   tx.objectStore(STORE).delete(id);
-  await new Promise((res, rej) => {
+  tx.objectStore(THUMBS).delete(id);
+  await txDone(tx);
+  db.close();
+}
+
+// Tracks object URLs so a panel can revoke everything it created on close
+export function createUrlScope() {
+  const made = new Set();
+  return {
+    url(blob) {
+      const u = URL.createObjectURL(blob);
+      made.add(u);
+      return u;
+    },
+    revokeAll() {
+      for (const u of made) URL.revokeObjectURL(u);
+      made.clear();
+    }
+  };
+}
+
+async function backfillThumb(id) {
+  const original = (await getSnap(id))?.blob;
+  if (!original) return null;
+  const thumb = await makeThumb(original);
+  if (!thumb) return null;
+
+  const db = await openDB();
+  const tx = db.transaction(THUMBS, "readwrite");
+  tx.objectStore(THUMBS).put({ id, blob: thumb });
+  await txDone(tx);
+  db.close();
+  return thumb;
+}
+
+async function makeThumb(blob) {
+  try {
+    const bmp = await createImageBitmap(blob);
+    const k = THUMB_SIZE / Math.max(bmp.width, bmp.height);
+    const w = Math.max(1, Math.round(bmp.width * Math.min(1, k)));
+    const h = Math.max(1, Math.round(bmp.height * Math.min(1, k)));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    canvas.getContext("2d").drawImage(bmp, 0, 0, w, h);
+    bmp.close?.();
+
+    return await new Promise((res) => canvas.toBlob(res, "image/jpeg", THUMB_QUALITY));
+  } catch {
+    return null;
+  }
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [head, body] = String(dataUrl).split(",");
+  const mime = /data:([^;]+)/.exec(head)?.[1] || "image/jpeg";
+  const bin = atob(body || "");
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: mime });
+}
+
+function txDone(tx) {
+  return new Promise((res, rej) => {
     tx.oncomplete = () => res();
     tx.onerror = () => rej(tx.error);
+    tx.onabort = () => rej(tx.error);
   });
-  db.close();
-}
\ No newline at end of file
+}
+
+function reqDone(req) {
+  return new Promise((res, rej) => {
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
@@ -0,0 +1,103 @@
+// Lightweight multi-object tracker (sits between detectFrame and the overlay)
+// - Gives every object a stable numeric `id` across frames
+// - Matches detections to tracks by IoU against a motion-predicted box
+// - Coasts tracks through brief misses, retires them after `maxMisses` frames
+// Output items keep the detector shape: { id, bbox, class, score, coasting }
+
+export function createTracker({
+  minIou = 0.25,        // below this a detection never matches a track
+  maxMisses = 5,        // frames a track may coast before it is retired
+  classStrict = true,   // only match detections of the same class
+  velocitySmoothing = 0.5
+} = {}) {
+  let nextId = 1;
+  let tracks = [];
+
+  function predict(tr, dtFrames) {
+    const [x, y, w, h] = tr.bbox;
+    return [x + tr.vx * dtFrames, y + tr.vy * dtFrames, w, h];
+  }
+
+  function update(dets) {
+    // Candidate pairs sorted by IoU, greedily assigned (good enough for < ~50 boxes)
+    const pairs = [];
+    for (let ti = 0; ti < tracks.length; ti++) {
+      const tr = tracks[ti];
+      const pred = predict(tr, tr.misses + 1);
+      for (let di = 0; di < dets.length; di++) {
+        const d = dets[di];
+        if (classStrict && d.class !== tr.class) continue;
+        const score = iou(pred, d.bbox);
+        if (score >= minIou) pairs.push({ ti, di, score });
+      }
+    }
+    pairs.sort((a, b) => b.score - a.score);
+
+    const usedT = new Set();
+    const usedD = new Set();
+    for (const p of pairs) {
+      if (usedT.has(p.ti) || usedD.has(p.di)) continue;
+      usedT.add(p.ti);
+      usedD.add(p.di);
+
+      const tr = tracks[p.ti];
+      const d = dets[p.di];
+      const steps = tr.misses + 1;
+      const k = velocitySmoothing;
+      const dx = (centerX(d.bbox) - centerX(tr.bbox)) / steps;
+      const dy = (centerY(d.bbox) - centerY(tr.bbox)) / steps;
+      tr.vx = tr.vx * k + dx * (1 - k);
+      tr.vy = tr.vy * k + dy * (1 - k);
+      tr.bbox = d.bbox;
+      tr.score = d.score;
+      tr.hits += 1;
+      tr.misses = 0;
+    }
+
+    // Unmatched tracks coast on their velocity
+    for (let ti = 0; ti < tracks.length; ti++) {
+      if (usedT.has(ti)) continue;
+      tracks[ti].misses += 1;
+    }
+    tracks = tracks.filter(tr => tr.misses <= maxMisses);
+
+    // Unmatched detections start new tracks
+    for (let di = 0; di < dets.length; di++) {
+      if (usedD.has(di)) continue;
+      const d = dets[di];
+      tracks.push({ id: nextId++, bbox: d.bbox, class: d.class, score: d.score, vx: 0, vy: 0, hits: 1, misses: 0 });
+    }
+
+    return current();
+  }
+
+  function current() {
+    return tracks.map(tr => ({
+      id: tr.id,
+      bbox: tr.misses ? predict(tr, tr.misses) : tr.bbox,
+      class: tr.class,
+      score: tr.score,
+      coasting: tr.misses > 0
+    }));
+  }
+
+  return {
+    update,
+    current,
+    has(id) { return tracks.some(tr => tr.id === id); },
+    reset() { tracks = []; }
+  };
+}
+
+export function iou(a, b) {
+  const [ax, ay, aw, ah] = a;
+  const [bx, by, bw, bh] = b;
+  const ix = Math.max(0, Math.min(ax + aw, bx + bw) - Math.max(ax, bx));
+  const iy = Math.max(0, Math.min(ay + ah, by + bh) - Math.max(ay, by));
+  const inter = ix * iy;
+  const union = aw * ah + bw * bh - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+function centerX(b) { return b[0] + b[2] / 2; }
+function centerY(b) { return b[1] + b[3] / 2; }
@@ -1,6 +1,6 @@
 let zTop = 40;
 
-export function createPanel({ title, x = 12, y = 120, w = 340, h = 260, bodyHTML = "" }) {
+export function createPanel({ title, x = 12, y = 120, w = 340, h = 260, bodyHTML = "", onClose = null }) {
   const el = document.createElement("div");
   el.className = "panel";
   el.style.left = `${x}px`;
@@ -8,6 +8,7 @@ export function createPanel({ title, x = 12, y = 120, w = 340, h = 260, bodyHTML
   el.style.width = `${w}px`;
   el.style.height = `${h}px`;
   el.style.zIndex = String(zTop++);
+  el._onClose = onClose;   // see closePanel()
 
   el.innerHTML = `
     <div class="panelHeader">
@@ -59,7 +60,7 @@ export function createPanel({ title, x = 12, y = 120, w = 340, h = 260, bodyHTML
   el.querySelectorAll(".panelBtn").forEach(btn => {
     btn.addEventListener("click", () => {
       const act = btn.dataset.act;
-      if (act === "close") el.remove();
+      if (act === "close") closePanel(el);
       if (act === "min") {
         const isHidden = body.style.display === "none";
         body.style.display = isHidden ? "block" : "none";
@@ -70,6 +71,14 @@ export function createPanel({ title, x = 12, y = 120, w = 340, h = 260, bodyHTML
   return el;
 }
 
+// Remove a panel and run its onClose (e.g. to revoke object URLs)
+export function closePanel(panelEl) {
+  const fn = panelEl._onClose;
+  panelEl._onClose = null;
+  panelEl.remove();
+  try { fn?.(); } catch (e) { console.warn("Panel onClose failed:", e); }
+}
+
 export function setPanelBody(panelEl, html) {
   panelEl.querySelector(".panelBody").innerHTML = html;
 }
@@ -80,7 +89,7 @@ export function getPanelBody(panelEl) {
 
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
-function escapeHtml(s) {
+export function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, (m) => ({
     "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#039;"
   }[m]));
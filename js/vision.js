@@ -1,33 +1,278 @@
-let model = null;
-let tfReady = false;
-
-export async function loadVisionModel(setStatus = () => {}) {
-  if (model) return model;
+import { createDetector, hasDetector } from "./detectors.js";
+import { getAssetBaseOverride } from "./assets.js";
+
+const DETECTOR_KEY = "pvh_detector";
+const DEFAULT_DETECTOR = "coco-ssd";
+const WORKER_MAX_SIDE = 640;  // frames are downscaled before transfer; boxes scaled back
+const FILTER_KEY = "pvh_det_filter";
+const DEFAULT_FILTER = {
+  minScore: 0.55,   // global cutoff
+  include: [],      // non-empty = only these classes
+  exclude: [],      // never these classes
+  perClass: {},     // { person: 0.8 } overrides minScore per class
+  maxBoxes: 20      // highest scores kept
+};
+
+let activeId = readStoredDetector();
+let ready = false;
+let loading = null;    // in-flight loadVisionModel()
+let info = null;       // { id, name, labels, inputSize } of the loaded backend
+
+// Inference runs in vision.worker.js when the browser can; main thread otherwise
+let worker = null;
+let workerBroken = false;
+let detector = null;   // main-thread fallback backend (see detectors.js for the contract)
+
+let seq = 0;
+const calls = new Map();
+let lastDets = [];
+
+let filter = readStoredFilter();
+
+// One load at a time: callers arriving mid-load (a detector switch) share it
+export function loadVisionModel(setStatus = () => {}) {
+  if (ready) return Promise.resolve(info);
+  if (!loading) loading = loadActive(setStatus).finally(() => { loading = null; });
+  return loading;
+}
 
+async function loadActive(setStatus) {
   setStatus("Loading AI…");
 
-  const tf = await import("https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.21.0/dist/tf.min.js");
-  await tf.ready();
+  const id = activeId;
+  let loaded = null;
+
+  try {
+    if (canUseWorker()) {
+      try {
+        loaded = await callWorker({ type: "load", id, assetBase: getAssetBaseOverride() });
+      } catch (e) {
+        // The worker ran and reported a failed load (e.g. missing model file): the main
+        // thread would fail the same way, and the worker is fine for other detectors
+        if (e.workerReported) throw e;
+        console.warn("Vision worker failed, using main thread:", e);
+        stopWorker();
+        workerBroken = true;
+      }
+    }
 
-  const cocoSsd = await import("https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js");
-  model = await cocoSsd.load();
+    if (!loaded) {
+      const next = createDetector(id);
+      await next.load();
+      detector = next;
+      loaded = { id, name: next.name, labels: next.labels, inputSize: next.inputSize };
+    }
+  } catch (e) {
+    // A detector nobody wants any more failed: the newest one still gets its chance
+    if (id === activeId) throw e;
+  }
 
-  tfReady = true;
+  // Backend was switched while this one loaded: drop it, load the new one
+  if (id !== activeId) {
+    disposeBackend();
+    return loadActive(setStatus);
+  }
+
+  info = loaded;
+  ready = true;
   setStatus("AI Ready");
-  return model;
+  return info;
 }
 
 export function isVisionReady() {
-  return !!model && tfReady;
+  return ready;
+}
+
+// source: the <video>, or a canvas (the frozen still)
+// minScore overrides the filter's global cutoff for this call only
+// maxSide caps the frame sent to the worker; Infinity detects at full resolution
+export async function detectFrame(source, minScore = null, { maxSide = WORKER_MAX_SIDE } = {}) {
+  if (!ready) return [];
+
+  let preds;
+  if (worker) {
+    const frame = await grabFrame(source, maxSide);
+    if (!frame) return [];
+    const res = await callWorker({ type: "detect", frame: frame.bitmap }, [frame.bitmap]);
+    if (res === DROPPED) return lastDets;
+    preds = frame.scale === 1 ? res : res.map(p => scaleDet(p, 1 / frame.scale));
+  } else if (detector) {
+    preds = await detector.detect(source);
+  } else {
+    return [];
+  }
+
+  lastDets = filterDetections(preds, minScore == null ? filter : { ...filter, minScore });
+  return lastDets;
+}
+
+// Drop any frame still queued in the worker (e.g. AI turned off, freeze)
+export function cancelDetection() {
+  worker?.postMessage({ type: "cancel" });
+}
+
+export function getActiveDetectorId() {
+  return activeId;
+}
+
+// { id, name, labels, inputSize } of the loaded backend (null until loaded)
+export function getDetectorInfo() {
+  return info;
+}
+
+// Swap backends. The old one is disposed; call loadVisionModel() again to load the new one.
+export function setActiveDetector(id) {
+  if (!hasDetector(id)) throw new Error(`Unknown detector: ${id}`);
+  if (id === activeId) return false;
+
+  activeId = id;
+  try { localStorage.setItem(DETECTOR_KEY, id); } catch {}
+
+  disposeBackend();
+  return true;
+}
+
+function disposeBackend() {
+  ready = false;
+  info = null;
+  lastDets = [];
+  if (worker) callWorker({ type: "dispose" }).catch(() => {});
+  detector?.dispose?.();
+  detector = null;
+}
+
+/* ---------- worker plumbing ---------- */
+const DROPPED = Symbol("dropped");
+
+function canUseWorker() {
+  return !workerBroken && typeof Worker !== "undefined" &&
+    typeof createImageBitmap === "function" && typeof OffscreenCanvas !== "undefined";
+}
+
+function ensureWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./vision.worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = (e) => {
+    const { seq: id, ok, dropped, data, error } = e.data || {};
+    const call = calls.get(id);
+    if (!call) return;
+    calls.delete(id);
+    if (!ok) call.reject(Object.assign(new Error(error || "Worker error"), { workerReported: true }));
+    else call.resolve(dropped ? DROPPED : data);
+  };
+  worker.onerror = (e) => {
+    for (const call of calls.values()) call.reject(new Error(e.message || "Worker crashed"));
+    calls.clear();
+  };
+  return worker;
+}
+
+function callWorker(msg, transfer = []) {
+  const w = ensureWorker();
+  const id = ++seq;
+  return new Promise((resolve, reject) => {
+    calls.set(id, { resolve, reject });
+    w.postMessage({ ...msg, seq: id }, transfer);
+  });
+}
+
+function stopWorker() {
+  worker?.terminate();
+  worker = null;
+  for (const call of calls.values()) call.reject(new Error("Worker stopped"));
+  calls.clear();
+}
+
+async function grabFrame(source, maxSide = WORKER_MAX_SIDE) {
+  const vw = source.videoWidth ?? source.width;
+  const vh = source.videoHeight ?? source.height;
+  if (!vw || !vh || source.readyState < 2) return null;
+
+  const scale = Math.min(1, maxSide / Math.max(vw, vh));
+  const bitmap = scale === 1
+    ? await createImageBitmap(source)
+    : await createImageBitmap(source, {
+        resizeWidth: Math.round(vw * scale),
+        resizeHeight: Math.round(vh * scale),
+        resizeQuality: "low"
+      });
+  return { bitmap, scale };
+}
+
+function scaleDet(p, k) {
+  const [x, y, w, h] = p.bbox;
+  return { ...p, bbox: [x * k, y * k, w * k, h * k] };
 }
 
-export async function detectFrame(videoEl, minScore = 0.55) {
-  if (!model) return [];
-  const preds = await model.detect(videoEl);
-  return preds.filter(p => (p.score ?? 0) >= minScore);
+/* ---------- class filter (applied before tracking, drawing and picking) ---------- */
+export function getDetectionFilter() {
+  return structuredClone(filter);
 }
 
-function coverTransform(overlayCanvas, videoEl) {
+export function setDetectionFilter(patch) {
+  filter = normalizeFilter({ ...filter, ...patch });
+  lastDets = [];   // replayed for dropped frames: must not outlive the old filter
+  try { localStorage.setItem(FILTER_KEY, JSON.stringify(filter)); } catch {}
+  return getDetectionFilter();
+}
+
+export function resetDetectionFilter() {
+  try { localStorage.removeItem(FILTER_KEY); } catch {}
+  filter = normalizeFilter(DEFAULT_FILTER);
+  lastDets = [];
+  return getDetectionFilter();
+}
+
+export function filterDetections(dets, f = filter) {
+  const include = new Set(f.include);
+  const exclude = new Set(f.exclude);
+
+  return dets
+    .filter((d) => {
+      if (exclude.has(d.class)) return false;
+      if (include.size && !include.has(d.class)) return false;
+      const min = f.perClass[d.class] ?? f.minScore;
+      return (d.score ?? 0) >= min;
+    })
+    .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+    .slice(0, f.maxBoxes);
+}
+
+function normalizeFilter(f) {
+  const names = (v) => [...new Set((Array.isArray(v) ? v : []).map(x => String(x).trim()).filter(Boolean))];
+  const score = (v, d) => (Number.isFinite(Number(v)) ? clamp01(Number(v)) : d);
+
+  const perClass = {};
+  for (const [k, v] of Object.entries(f?.perClass || {})) {
+    if (v === null || v === "" || !Number.isFinite(Number(v))) continue;
+    perClass[k] = clamp01(Number(v));
+  }
+
+  const maxBoxes = Math.round(Number(f?.maxBoxes));
+  return {
+    minScore: score(f?.minScore, DEFAULT_FILTER.minScore),
+    include: names(f?.include),
+    exclude: names(f?.exclude),
+    perClass,
+    maxBoxes: maxBoxes >= 1 ? Math.min(maxBoxes, 100) : DEFAULT_FILTER.maxBoxes
+  };
+}
+
+function readStoredFilter() {
+  let raw = null;
+  try { raw = JSON.parse(localStorage.getItem(FILTER_KEY) || "null"); } catch {}
+  return normalizeFilter(raw || DEFAULT_FILTER);
+}
+
+function clamp01(v) { return Math.max(0, Math.min(1, v)); }
+
+function readStoredDetector() {
+  let id = null;
+  try { id = localStorage.getItem(DETECTOR_KEY); } catch {}
+  return id && hasDetector(id) ? id : DEFAULT_DETECTOR;
+}
+
+export function coverTransform(overlayCanvas, videoEl) {
   const W = overlayCanvas.width;
   const H = overlayCanvas.height;
 
@@ -68,34 +313,11 @@ export function drawDetections(overlayCanvas, detections, videoEl, opts = {}) {
 
   ctx.clearRect(0, 0, W, H);
 
-  ctx.lineWidth = 2;
-  ctx.font = "12px -apple-system, system-ui, Segoe UI, Roboto, Arial";
-  ctx.textBaseline = "top";
-
   for (let i = 0; i < detections.length; i++) {
     const d = detections[i];
     const r = detToScreenRect(d, overlayCanvas, videoEl);
-
-    const label = `${d.class} ${(d.score * 100).toFixed(0)}%`;
-    const pad = 6;
-    const tw = ctx.measureText(label).width + pad * 2;
-
-    const isSelected = (opts.selectedIndex === i);
-
-    ctx.strokeStyle = isSelected ? "rgba(255,255,255,0.95)" : "rgba(68,255,175,0.85)";
-    ctx.fillStyle = isSelected ? "rgba(255,255,255,0.10)" : "rgba(68,255,175,0.12)";
-
-    roundRect(ctx, r.sx, r.sy, r.sw, r.sh, 12);
-    ctx.fill();
-    ctx.stroke();
-
-    // Label pill
-    ctx.fillStyle = isSelected ? "rgba(255,255,255,0.18)" : "rgba(15,19,27,0.72)";
-    roundRect(ctx, r.sx, Math.max(0, r.sy - 22), tw, 20, 10);
-    ctx.fill();
-
-    ctx.fillStyle = "rgba(255,255,255,0.92)";
-    ctx.fillText(label, r.sx + pad, Math.max(0, r.sy - 20) + 3);
+    const isSelected = opts.selectedId != null && d.id === opts.selectedId;
+    drawDetectionBox(ctx, d, r, isSelected);
   }
 
   // Cursor dot
@@ -108,11 +330,40 @@ export function drawDetections(overlayCanvas, detections, videoEl, opts = {}) {
 
     ctx.beginPath();
     ctx.arc(sx, sy, 12, 0, Math.PI * 2);
+    ctx.lineWidth = 2;
     ctx.strokeStyle = "rgba(255,255,255,0.35)";
     ctx.stroke();
   }
 }
 
+// One box + label pill. r = { sx, sy, sw, sh } in canvas pixels.
+// k scales strokes, radii and text (1 = live overlay); annotate.js reuses this
+// so baked-in snapshots look exactly like the HUD.
+export function drawDetectionBox(ctx, d, r, isSelected, k = 1) {
+  ctx.lineWidth = 2 * k;
+  ctx.font = `${Math.round(12 * k)}px -apple-system, system-ui, Segoe UI, Roboto, Arial`;
+  ctx.textBaseline = "top";
+
+  const label = `${d.class} ${(d.score * 100).toFixed(0)}%`;
+  const pad = 6 * k;
+  const tw = ctx.measureText(label).width + pad * 2;
+
+  ctx.strokeStyle = isSelected ? "rgba(255,255,255,0.95)" : "rgba(68,255,175,0.85)";
+  ctx.fillStyle = isSelected ? "rgba(255,255,255,0.10)" : "rgba(68,255,175,0.12)";
+
+  roundRect(ctx, r.sx, r.sy, r.sw, r.sh, 12 * k);
+  ctx.fill();
+  ctx.stroke();
+
+  // Label pill
+  ctx.fillStyle = isSelected ? "rgba(255,255,255,0.18)" : "rgba(15,19,27,0.72)";
+  roundRect(ctx, r.sx, Math.max(0, r.sy - 22 * k), tw, 20 * k, 10 * k);
+  ctx.fill();
+
+  ctx.fillStyle = "rgba(255,255,255,0.92)";
+  ctx.fillText(label, r.sx + pad, Math.max(0, r.sy - 20 * k) + 3 * k);
+}
+
 export function pickDetectionAt(screenX, screenY, detections, overlayCanvas, videoEl) {
   let best = null;
   let bestDist = Infinity;
@@ -134,7 +385,8 @@ export function pickDetectionAt(screenX, screenY, detections, overlayCanvas, vid
   return best;
 }
 
-function roundRect(ctx, x, y, w, h, r) {
+// Path only (begins its own); callers stroke / fill. Also used by annotate.js
+export function roundRect(ctx, x, y, w, h, r) {
   const rr = Math.min(r, w / 2, h / 2);
   ctx.beginPath();
   ctx.moveTo(x + rr, y);
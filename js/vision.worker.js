@@ -0,0 +1,96 @@
+// Detection worker (module worker, started by vision.js)
+// - Owns the detector backend so inference never blocks the main thread
+// - Receives frames as ImageBitmap (or VideoFrame) via transfer
+// - One frame in flight; a newer frame replaces the queued one (stale frames dropped)
+//
+// Messages in:  { seq, type: "load", id, assetBase }
+//               { seq, type: "detect", frame }
+//               { type: "cancel" }   drop the queued frame
+//               { seq, type: "dispose" }
+// Messages out: { seq, ok: true, data } | { seq, ok: true, dropped: true } | { seq, ok: false, error }
+
+import { createDetector } from "./detectors.js";
+import { useAssetBase } from "./assets.js";
+
+let detector = null;
+let busy = false;
+let queued = null;
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === "load") return load(msg);
+  if (msg.type === "detect") return enqueue(msg);
+  if (msg.type === "cancel") return dropQueued();
+  if (msg.type === "dispose") {
+    dropQueued();
+    detector?.dispose?.();
+    detector = null;
+    reply(msg.seq, { ok: true, data: null });
+  }
+};
+
+async function load({ seq, id, assetBase }) {
+  try {
+    useAssetBase(assetBase);
+    detector?.dispose?.();
+    detector = null;
+
+    const next = createDetector(id);
+    await next.load();
+    detector = next;
+
+    const { name, labels, inputSize } = next;
+    reply(seq, { ok: true, data: { id, name, labels, inputSize } });
+  } catch (e) {
+    reply(seq, { ok: false, error: String(e?.message || e) });
+  }
+}
+
+function enqueue(msg) {
+  if (!busy) {
+    run(msg);
+    return;
+  }
+  dropQueued();
+  queued = msg;
+}
+
+function dropQueued() {
+  if (!queued) return;
+  queued.frame?.close?.();
+  reply(queued.seq, { ok: true, dropped: true });
+  queued = null;
+}
+
+async function run({ seq, frame }) {
+  busy = true;
+  let bitmap = frame;
+  try {
+    if (!detector) throw new Error("Detector not loaded");
+
+    // tfjs can't read a VideoFrame directly
+    if (typeof VideoFrame !== "undefined" && frame instanceof VideoFrame) {
+      bitmap = await createImageBitmap(frame);
+      frame.close();
+    }
+
+    const preds = await detector.detect(bitmap);
+    const data = preds.map(p => ({ bbox: Array.from(p.bbox), class: p.class, score: p.score }));
+    reply(seq, { ok: true, data });
+  } catch (e) {
+    reply(seq, { ok: false, error: String(e?.message || e) });
+  } finally {
+    bitmap?.close?.();
+    busy = false;
+  }
+
+  if (queued) {
+    const next = queued;
+    queued = null;
+    run(next);
+  }
+}
+
+function reply(seq, payload) {
+  self.postMessage({ seq, ...payload });
+}
@@ -0,0 +1,152 @@
+// Minimal ZIP writer/reader (no dependencies, no network)
+// - Writer stores entries uncompressed: the payload is JPEG, deflate gains ~nothing
+// - Reader handles stored entries, and deflated ones where DecompressionStream exists
+// - No ZIP64: archives and entries must stay under 4 GB
+// Names are written as UTF-8 (general purpose flag bit 11).
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const LIMIT = 0xffffffff;
+
+// entries: [{ name, data: Blob | Uint8Array | string, date? }] -> Blob (application/zip)
+export async function createZip(entries) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = enc.encode(entry.name);
+    const bytes = await toBytes(entry.data);
+    const crc = crc32(bytes);
+    const { time, date } = dosDateTime(entry.date || new Date());
+
+    if (bytes.length >= LIMIT || offset >= LIMIT) throw new Error("ZIP too large (no ZIP64 support)");
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, SIG_LOCAL, true);
+    local.setUint16(4, 20, true);             // version needed
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true);              // method: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);  // compressed size
+    local.setUint32(22, bytes.length, true);  // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);             // extra length
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, SIG_CENTRAL, true);
+    cd.setUint16(4, 20, true);                // version made by
+    cd.setUint16(6, 20, true);                // version needed
+    cd.setUint16(8, UTF8_FLAG, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, time, true);
+    cd.setUint16(14, date, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, bytes.length, true);
+    cd.setUint32(24, bytes.length, true);
+    cd.setUint16(28, name.length, true);
+    // 30: extra, 32: comment, 34: disk, 36: internal attrs, 38: external attrs — all 0
+    cd.setUint32(42, offset, true);
+
+    parts.push(local, name, bytes);
+    central.push(cd, name);
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, SIG_END, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
+
+// Blob/File -> [{ name, read(): Promise<Uint8Array> }]
+export async function readZip(blob) {
+  const buf = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const dec = new TextDecoder();
+
+  // End-of-central-directory sits in the last 22 + (up to 65535 comment) bytes
+  let endAt = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIG_END) { endAt = i; break; }
+  }
+  if (endAt < 0) throw new Error("Not a ZIP file");
+
+  const count = view.getUint16(endAt + 10, true);
+  let p = view.getUint32(endAt + 16, true);
+  const out = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== SIG_CENTRAL) throw new Error("Corrupt ZIP directory");
+    const method = view.getUint16(p + 10, true);
+    const csize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localAt = view.getUint32(p + 42, true);
+    const name = dec.decode(buf.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    // Local header has its own name/extra lengths
+    const dataAt = localAt + 30 + view.getUint16(localAt + 26, true) + view.getUint16(localAt + 28, true);
+    const raw = buf.subarray(dataAt, dataAt + csize);
+
+    out.push({
+      name,
+      read() {
+        if (method === 0) return Promise.resolve(raw);
+        if (method === 8) return inflateRaw(raw);
+        return Promise.reject(new Error(`Unsupported ZIP method ${method} (${name})`));
+      }
+    });
+  }
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser can't read compressed ZIP entries");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === "string") return new TextEncoder().encode(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+function dosDateTime(d) {
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -1,48 +1,91 @@
 /* sw.js — GitHub Pages cache (less sticky, easier updates) */
-const CACHE_VERSION = "pvh-v1.0.4";
+const CACHE_VERSION = "pvh-v1.1.22";
+
+// AI/gesture runtimes + models are big and rarely change: keep them in their own
+// cache so an app-shell version bump doesn't re-download them.
+const ASSET_CACHE = "pvh-assets-v1";
+const ASSET_MANIFEST = "./assets.json";
 
 const APP_SHELL = [
   "./",
   "./index.html",
   "./css/styles.css",
+  "./js/annotate.js",
   "./js/app.js",
+  "./js/archive.js",
+  "./js/assets.js",
+  "./js/bindings.js",
+  "./js/calibration.js",
   "./js/camera.js",
+  "./js/cropeditor.js",
+  "./js/dataset.js",
+  "./js/detectors.js",
+  "./js/lifecycle.js",
+  "./js/quota.js",
+  "./js/recorder.js",
+  "./js/scheduler.js",
+  "./js/settings.js",
+  "./js/sharpness.js",
+  "./js/smoothing.js",
   "./js/storage.js",
+  "./js/tracker.js",
   "./js/ui.js",
   "./js/vision.js",
+  "./js/vision.worker.js",
+  "./js/zip.js",
   "./js/gestures.js",
+  "./assets.json",
   "./manifest.webmanifest",
   "./icons/icon-192.png",
   "./icons/icon-512.png"
 ];
 
 self.addEventListener("install", (event) => {
-  event.waitUntil(caches.open(CACHE_VERSION).then((cache) => cache.addAll(APP_SHELL)));
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_VERSION);
+    await cache.addAll(APP_SHELL);
+    await precacheAssets(await defaultAssetUrls());
+  })());
   self.skipWaiting();
 });
 
 self.addEventListener("activate", (event) => {
   event.waitUntil((async () => {
     const keys = await caches.keys();
-    await Promise.all(keys.filter(k => k !== CACHE_VERSION).map(k => caches.delete(k)));
+    const keep = [CACHE_VERSION, ASSET_CACHE];
+    await Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k)));
     await self.clients.claim();
   })());
 });
 
+// The page sends the resolved list when a mirror is configured (see js/assets.js)
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "precache-assets" && Array.isArray(msg.urls)) {
+    event.waitUntil(precacheAssets(msg.urls));
+  }
+});
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
   const url = new URL(req.url);
 
-  if (url.origin !== self.location.origin) return;
+  // Cross-origin: only a mirrored asset we've precached is served from cache
+  if (url.origin !== self.location.origin) {
+    if (req.method !== "GET") return;
+    event.respondWith(assetFirst(req));
+    return;
+  }
 
   const accept = req.headers.get("accept") || "";
   const isHTML = req.mode === "navigate" || accept.includes("text/html");
   const isAsset = req.destination === "script" || req.destination === "style";
+  const isManifest = url.pathname.endsWith("/assets.json");
 
   // Make updates show up fast:
-  // - HTML + JS + CSS => network-first
-  // - images/icons => cache-first
-  if (isHTML || isAsset) {
+  // - HTML + JS + CSS + asset manifest => network-first
+  // - images/icons/models => cache-first
+  if (isHTML || isAsset || isManifest) {
     event.respondWith(networkFirst(req));
     return;
   }
@@ -50,13 +93,43 @@ self.addEventListener("fetch", (event) => {
   event.respondWith(cacheFirst(req));
 });
 
+async function defaultAssetUrls() {
+  try {
+    const res = await fetch(ASSET_MANIFEST, { cache: "no-cache" });
+    const manifest = await res.json();
+    const base = new URL(manifest.base || "./", new URL(ASSET_MANIFEST, self.location.href));
+    return (manifest.precache || []).map(p => new URL(p, base).href);
+  } catch {
+    return [];
+  }
+}
+
+// Best-effort: one missing vendor file must not fail the whole install
+async function precacheAssets(urls) {
+  const cache = await caches.open(ASSET_CACHE);
+  await Promise.allSettled(urls.map(async (u) => {
+    if (await cache.match(u)) return;
+    const res = await fetch(u, { mode: "cors" });
+    if (res.ok) await cache.put(u, res);
+  }));
+}
+
+async function assetFirst(req) {
+  const cached = await caches.match(req, { cacheName: ASSET_CACHE, ignoreVary: true });
+  return cached || fetch(req);
+}
+
+// HEAD (js/assets.js checking for a vendored file) is answered from the cached GET.
+// Only successful GETs are stored: a cached 404 would hide files deployed later.
 async function cacheFirst(req) {
-  const cached = await caches.match(req);
+  const cached = await caches.match(req, { ignoreMethod: req.method === "HEAD" });
   if (cached) return cached;
 
   const fresh = await fetch(req);
-  const cache = await caches.open(CACHE_VERSION);
-  cache.put(req, fresh.clone());
+  if (fresh.ok && req.method === "GET") {
+    const cache = await caches.open(CACHE_VERSION);
+    cache.put(req, fresh.clone());
+  }
   return fresh;
 }
 
@@ -70,4 +143,4 @@ async function networkFirst(req) {
     const cached = await caches.match(req);
     return cached || new Response("Offline", { status: 503, headers: { "Content-Type": "text/plain" } });
   }
-}
\ No newline at end of file
+}